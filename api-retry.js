@@ -0,0 +1,151 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+
+module.exports = {
+  withRetries,
+  retryableError,
+  throttlingError,
+  apiBudget,
+};
+
+// Errors that mean the call was turned away before doing anything
+const THROTTLING_NAMES = [
+  "ThrottlingException",
+  "Throttling",
+  "TooManyRequestsException",
+  "RequestLimitExceeded",
+];
+
+// Errors worth waiting out, by SDK error name or Node.js error code
+const RETRYABLE_NAMES = [
+  ...THROTTLING_NAMES,
+  "ServiceUnavailable",
+  "ServiceUnavailableException",
+  "InternalFailure",
+  "InternalServerError",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "TimeoutError",
+];
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+];
+
+function retryableError(err) {
+  if (!err) return false;
+  const { name, code, message, $metadata = {} } = err;
+  const { httpStatusCode } = $metadata;
+  return (
+    RETRYABLE_NAMES.includes(name) ||
+    RETRYABLE_NAMES.includes(code) ||
+    RETRYABLE_CODES.includes(code) ||
+    httpStatusCode === 429 ||
+    httpStatusCode >= 500 ||
+    // CloudWatch Logs throttles with a plain message
+    (typeof message === "string" && message.search("Rate exceeded") !== -1)
+  );
+}
+
+function throttlingError(err) {
+  if (!err) return false;
+  const { name, code, message, $metadata = {} } = err;
+  return (
+    THROTTLING_NAMES.includes(name) ||
+    THROTTLING_NAMES.includes(code) ||
+    $metadata.httpStatusCode === 429 ||
+    (typeof message === "string" && message.search("Rate exceeded") !== -1)
+  );
+}
+
+/* Wrap every API method of an SDK client,
+ * so that throttling, 5xx and network errors are retried
+ * with exponential back-off and Full Jitter,
+ * ref: https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ * Non-API properties, e.g. `config`, are passed through as is.
+ * Clients that share a budget (see apiBudget) also share their call rate.
+ * A failed call of a nonIdempotent operation (e.g. startBuild) may still
+ * have done its work, so without an idempotencyToken only throttling is retried.
+ */
+function withRetries(
+  client,
+  {
+    updateBackOff = 15000,
+    maxRetryTime = 300000,
+    budget,
+    nonIdempotent = [],
+  } = {}
+) {
+  return new Proxy(client, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== "function" || ["send", "destroy"].includes(prop)) {
+        return value;
+      }
+      return (...args) => {
+        const [params = {}] = args;
+        const retryable =
+          nonIdempotent.includes(prop) && !params.idempotencyToken
+            ? throttlingError
+            : retryableError;
+        return retry(() => value.apply(target, args), prop, retryable);
+      };
+    },
+  });
+
+  async function retry(call, operation, retryable) {
+    const start = Date.now();
+    for (let attempt = 0; ; attempt++) {
+      if (budget) await budget.take();
+      try {
+        const result = await call();
+        if (budget) budget.succeeded();
+        return result;
+      } catch (err) {
+        const wait = Math.floor(Math.random() * (updateBackOff * 2 ** attempt));
+        if (!retryable(err) || Date.now() - start + wait > maxRetryTime) {
+          throw err;
+        }
+        if (budget) budget.throttled();
+        core.info(
+          `${operation} failed with ${
+            err.name || err.code || err.message
+          }, retrying in ${wait}ms (attempt ${attempt + 1})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+    }
+  }
+}
+
+/* Spaces out the calls of every client that shares it.
+ * Each throttled call doubles the spacing, up to maxInterval,
+ * and each successful call slowly brings it back to minInterval.
+ */
+function apiBudget({ minInterval = 200, maxInterval = 10000 } = {}) {
+  let interval = minInterval;
+  let next = 0;
+
+  return { take, throttled, succeeded };
+
+  async function take() {
+    const now = Date.now();
+    const at = Math.max(now, next);
+    next = at + interval;
+    if (at > now) await new Promise((resolve) => setTimeout(resolve, at - now));
+  }
+
+  function throttled() {
+    interval = Math.min(interval * 2, maxInterval);
+  }
+
+  function succeeded() {
+    interval = Math.max(minInterval, Math.floor(interval * 0.9));
+  }
+}
@@ -0,0 +1,117 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const tc = require("@actions/tool-cache");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const assert = require("assert");
+const { pipeline } = require("stream/promises");
+const { s3LogLocation } = require("./s3-log");
+
+module.exports = {
+  downloadArtifacts,
+};
+
+/* Download the primary and secondary artifacts of a build from S3,
+ * each into its own directory, <dir>/primary and <dir>/<artifactIdentifier>.
+ * Zip packaged artifacts are extracted, folders are downloaded as they are.
+ * Returns the local path of every artifact by identifier.
+ */
+async function downloadArtifacts(
+  sdk,
+  { artifacts = {}, secondaryArtifacts = [] },
+  { dir, extractZip = tc.extractZip }
+) {
+  const root = path.resolve(process.env.GITHUB_WORKSPACE || "", dir);
+  const paths = {};
+
+  for (const artifact of [
+    { ...artifacts, artifactIdentifier: "primary" },
+    ...secondaryArtifacts,
+  ]) {
+    const { artifactIdentifier, location } = artifact;
+    // Projects with NO_ARTIFACTS or CODEPIPELINE artifacts have nothing in S3
+    const object = location && s3LogLocation(location);
+    if (!object) continue;
+
+    const dest = path.join(root, artifactIdentifier);
+    fs.mkdirSync(dest, { recursive: true });
+    core.info(`Downloading the ${artifactIdentifier} artifact to ${dest}`);
+    if (!(await downloadObject(sdk.s3, object, dest, extractZip))) {
+      await downloadFolder(sdk.s3, object, dest);
+    }
+    paths[artifactIdentifier] = dest;
+  }
+
+  return paths;
+}
+
+// False when there is no such object, i.e. the artifact is a folder
+async function downloadObject(s3, { Bucket, Key }, dest, extractZip) {
+  const temp = path.join(
+    fs.mkdtempSync(path.join(process.env.RUNNER_TEMP || os.tmpdir(), "art-")),
+    path.basename(Key)
+  );
+  try {
+    await getObject(s3, { Bucket, Key }, temp);
+    if (isZip(temp)) {
+      await extractZip(temp, dest);
+    } else {
+      fs.copyFileSync(temp, path.join(dest, path.basename(Key)));
+    }
+    return true;
+  } catch (err) {
+    if (err.name === "NoSuchKey") return false;
+    throw err;
+  } finally {
+    fs.rmSync(path.dirname(temp), { recursive: true, force: true });
+  }
+}
+
+async function downloadFolder(s3, { Bucket, Key }, dest) {
+  const Prefix = `${Key}/`;
+  let found = 0;
+  let ContinuationToken;
+  do {
+    const { Contents = [], NextContinuationToken } = await s3.listObjectsV2({
+      Bucket,
+      Prefix,
+      ContinuationToken,
+    });
+    for (const { Key: key } of Contents) {
+      if (key.endsWith("/")) continue;
+      // The build writes the keys, so they may point anywhere, e.g. ../../.bashrc
+      const file = path.resolve(dest, key.slice(Prefix.length));
+      assert(
+        file.startsWith(path.resolve(dest) + path.sep),
+        `The build artifact s3://${Bucket}/${key} is outside of its folder, it is not downloaded.`
+      );
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await getObject(s3, { Bucket, Key: key }, file);
+      found++;
+    }
+    ContinuationToken = NextContinuationToken;
+  } while (ContinuationToken);
+
+  if (!found) {
+    core.warning(`The build artifact s3://${Bucket}/${Key} is empty.`);
+  }
+}
+
+async function getObject(s3, { Bucket, Key }, file) {
+  const { Body } = await s3.getObject({ Bucket, Key });
+  await pipeline(Body, fs.createWriteStream(file));
+}
+
+function isZip(file) {
+  const magic = Buffer.alloc(4);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, magic, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return magic.equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+}
@@ -0,0 +1,229 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+const YAML = require("yaml");
+
+module.exports = {
+  checkBuildspec,
+  validateBuildspec,
+};
+
+// The buildspec syntax, see
+// https://docs.aws.amazon.com/codebuild/latest/userguide/build-spec-ref.html
+// A schema is a type name, [item schema] for a list,
+// or a mapping of the allowed keys ("*" allows any key).
+const commands = ["command"];
+const phase = (keys) => ({
+  "run-as": "scalar",
+  "on-failure": "scalar",
+  commands,
+  finally: commands,
+  ...keys,
+});
+const variables = { "*": "scalar" };
+const artifacts = {
+  files: ["scalar"],
+  name: "scalar",
+  "discard-paths": "scalar",
+  "base-directory": "scalar",
+  "exclude-paths": ["scalar"],
+  "enable-symlinks": "scalar",
+  "s3-prefix": "scalar",
+};
+const BUILDSPEC = {
+  version: "version",
+  "run-as": "scalar",
+  env: {
+    shell: "scalar",
+    variables,
+    "parameter-store": variables,
+    "secrets-manager": variables,
+    "exported-variables": ["scalar"],
+    "git-credential-helper": "scalar",
+  },
+  proxy: { "upload-artifacts": "scalar", logs: "scalar" },
+  batch: {
+    "fast-fail": "scalar",
+    "build-graph": "any",
+    "build-list": "any",
+    "build-matrix": "any",
+    "build-fanout": "any",
+  },
+  phases: {
+    install: phase({ "runtime-versions": variables }),
+    pre_build: phase(),
+    build: phase(),
+    post_build: phase(),
+  },
+  reports: {
+    "*": {
+      files: ["scalar"],
+      "base-directory": "scalar",
+      "discard-paths": "scalar",
+      "file-format": "scalar",
+    },
+  },
+  artifacts: { ...artifacts, "secondary-artifacts": { "*": artifacts } },
+  cache: {
+    paths: ["scalar"],
+    key: "scalar",
+    "fallback-keys": ["scalar"],
+    action: "scalar",
+  },
+};
+
+/* Check the buildspec override before the build is started,
+ * so a broken buildspec does not cost a container.
+ * It is either inline, a file in the workspace, or somewhere we cannot see
+ * (e.g. S3, or only in the CodeBuild source), which is left to CodeBuild.
+ * With inline, a workspace file is sent to CodeBuild as an inline buildspec.
+ * Returns the buildspec override to use.
+ */
+function checkBuildspec(buildspecOverride, { inline = false } = {}) {
+  if (!buildspecOverride || buildspecOverride.startsWith("arn:")) {
+    return buildspecOverride;
+  }
+
+  const isInline = buildspecOverride.includes("\n");
+  const file = path.resolve(
+    process.env.GITHUB_WORKSPACE || "",
+    buildspecOverride
+  );
+  if (!isInline && !fs.existsSync(file)) {
+    assert(
+      !inline,
+      `Unable to inline the buildspec ${buildspecOverride}, it is not in the workspace.`
+    );
+    return buildspecOverride;
+  }
+
+  const source = isInline ? buildspecOverride : fs.readFileSync(file, "utf8");
+  const problems = validateBuildspec(source);
+  problems.forEach(({ message, line, column }) =>
+    core.error(message, {
+      title: "Invalid buildspec",
+      // Inline buildspecs live in the workflow, which the lines do not match
+      ...(isInline ? {} : { file: buildspecOverride }),
+      startLine: line,
+      startColumn: column,
+    })
+  );
+  assert(
+    !problems.length,
+    `The buildspec ${
+      isInline ? "override" : buildspecOverride
+    } is not valid, see the annotations.`
+  );
+
+  return inline ? source : buildspecOverride;
+}
+
+// Returns every problem of the buildspec, with the line and column it is at
+function validateBuildspec(source) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(source, { lineCounter });
+  if (doc.errors.length) {
+    return doc.errors.map(({ message, linePos = [] }) => ({
+      message: message.split("\n")[0],
+      ...position(linePos[0]),
+    }));
+  }
+
+  const problems = [];
+  const buildspec = doc.toJS();
+  if (!isMapping(buildspec)) {
+    return [{ message: "The buildspec must be a mapping", line: 1, column: 1 }];
+  }
+  if (buildspec.version === undefined) {
+    problems.push({ path: [], message: "The buildspec needs a version" });
+  }
+  check(buildspec, BUILDSPEC, [], problems);
+
+  return problems.map(({ path, message }) => ({
+    message,
+    ...position(locate(doc, path, lineCounter)),
+  }));
+}
+
+function check(value, schema, at, problems) {
+  const name =
+    at.reduce(
+      (name, key) =>
+        typeof key === "number" ? `${name}[${key}]` : `${name}.${key}`,
+      ""
+    ) || ".";
+  const problem = (message) =>
+    problems.push({ path: at, message: `${name.slice(1)} ${message}` });
+
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) return problem("must be a list");
+    return value.forEach((item, i) =>
+      check(item, schema[0], [...at, i], problems)
+    );
+  }
+  if (isMapping(schema)) {
+    if (!isMapping(value)) return problem("must be a mapping");
+    return Object.entries(value).forEach(([key, item]) => {
+      const known = Object.prototype.hasOwnProperty.call(schema, key)
+        ? schema[key]
+        : schema["*"];
+      if (!known) {
+        return problems.push({
+          path: [...at, key],
+          message: `${key} is not a buildspec key${
+            at.length ? ` of ${name.slice(1)}` : ""
+          }`,
+        });
+      }
+      check(item, known, [...at, key], problems);
+    });
+  }
+
+  switch (schema) {
+    case "version":
+      if (![0.1, 0.2, "0.1", "0.2"].includes(value)) {
+        problem("must be 0.1 or 0.2");
+      }
+      return;
+    case "command":
+      if (typeof value !== "string") {
+        problem(
+          'must be a command, quote commands that contain ": " or start with a YAML special character'
+        );
+      }
+      return;
+    case "scalar":
+      if (isMapping(value) || Array.isArray(value) || value === null) {
+        problem("must be a single value");
+      }
+      return;
+  }
+}
+
+// The node at path, for a mapping key the key itself
+function locate(doc, path, lineCounter) {
+  let node = doc.contents;
+  let at = node;
+  for (const key of path) {
+    if (YAML.isMap(node)) {
+      const pair = node.items.find((pair) => String(pair.key.value) === key);
+      at = pair.key;
+      node = pair.value;
+    } else if (YAML.isSeq(node)) {
+      at = node = node.items[key];
+    }
+  }
+  return at && at.range && lineCounter.linePos(at.range[0]);
+}
+
+function position({ line, col } = {}) {
+  return { line, column: col };
+}
+
+function isMapping(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
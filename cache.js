@@ -0,0 +1,74 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const assert = require("assert");
+
+module.exports = {
+  cacheLocation,
+  seedCache,
+};
+
+/* The S3 cache location (bucket/prefix) for a branch.
+ * GitHub evaluates ${{ }} before the action sees its inputs,
+ * so the branch placeholder is {ref}.
+ */
+function cacheLocation(template, ref) {
+  if (!template) return undefined;
+  assert(
+    ref || !template.includes("{ref}"),
+    `The cache location ${template} needs a branch, but there is none.`
+  );
+  return template.replace(/\{ref\}/g, ref);
+}
+
+/* Copy the cache of another branch (e.g. the default branch)
+ * into a branch cache that does not exist yet,
+ * so the first build of a new branch does not start cold.
+ * A missing cache should never fail the build, so errors are only warnings.
+ */
+async function seedCache(s3, location, from) {
+  if (!location || !from || location === from) return;
+  const target = s3Prefix(location);
+  const source = s3Prefix(from);
+
+  try {
+    const { KeyCount } = await s3.listObjectsV2({
+      Bucket: target.Bucket,
+      Prefix: target.Prefix,
+      MaxKeys: 1,
+    });
+    if (KeyCount) return;
+
+    let copied = 0;
+    let ContinuationToken;
+    do {
+      const { Contents = [], NextContinuationToken } = await s3.listObjectsV2({
+        Bucket: source.Bucket,
+        Prefix: source.Prefix,
+        ContinuationToken,
+      });
+      for (const { Key } of Contents) {
+        await s3.copyObject({
+          Bucket: target.Bucket,
+          Key: target.Prefix + Key.slice(source.Prefix.length),
+          CopySource: [source.Bucket, ...Key.split("/")]
+            .map(encodeURIComponent)
+            .join("/"),
+        });
+        copied++;
+      }
+      ContinuationToken = NextContinuationToken;
+    } while (ContinuationToken);
+
+    if (copied) core.info(`Seeded the cache ${location} from ${from}`);
+  } catch (err) {
+    core.warning(`Unable to seed the cache ${location} from ${from}: ${err}`);
+  }
+}
+
+// bucket/some/prefix => { Bucket: "bucket", Prefix: "some/prefix/" }
+function s3Prefix(location) {
+  const [Bucket, ...prefix] = location.replace(/\/+$/, "").split("/");
+  return { Bucket, Prefix: prefix.length ? `${prefix.join("/")}/` : "" };
+}
@@ -0,0 +1,89 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+
+module.exports = {
+  cancelSuperseded,
+  supersededBy,
+};
+
+/* Stop the builds of the project that this build supersedes,
+ * i.e. builds this action started for an earlier run of the same workflow
+ * on the same branch or pull request, that are still in progress.
+ * Returns the ids of the stopped builds.
+ */
+async function cancelSuperseded(
+  sdk,
+  { projectName, environmentVariablesOverride = [] }
+) {
+  const ours = variables(environmentVariablesOverride);
+  if (!ours.GITHUB_REPOSITORY || !ours.GITHUB_RUN_NUMBER) {
+    core.warning(
+      "cancel-in-progress needs the GITHUB_ environment variables, which are disabled. No builds were cancelled."
+    );
+    return [];
+  }
+
+  const cancelled = [];
+  for (const build of await inProgressBuilds(sdk, projectName)) {
+    if (!supersededBy(build, ours)) continue;
+    try {
+      await sdk.codeBuild.stopBuild({ id: build.id });
+      core.info(`Cancelled superseded build ${build.id}`);
+      cancelled.push(build.id);
+    } catch (err) {
+      core.warning(`Unable to cancel build ${build.id}: ${err.message}`);
+    }
+  }
+  return cancelled;
+}
+
+// Whether the build was started by this action for an earlier run of the same workflow and ref
+function supersededBy({ environment = {} }, ours) {
+  const theirs = variables(environment.environmentVariables);
+  return (
+    ["GITHUB_REPOSITORY", "GITHUB_WORKFLOW"].every(
+      (name) => theirs[name] === ours[name]
+    ) &&
+    ref(theirs) === ref(ours) &&
+    // Matrix jobs and re-runs share the run number, they are not superseded
+    Number(theirs.GITHUB_RUN_NUMBER) < Number(ours.GITHUB_RUN_NUMBER)
+  );
+}
+
+// Builds are listed newest first, so the in-progress ones come first
+async function inProgressBuilds({ codeBuild }, projectName) {
+  const found = [];
+  let nextToken;
+  do {
+    const page = await codeBuild.listBuildsForProject({
+      projectName,
+      sortOrder: "DESCENDING",
+      nextToken,
+    });
+    if (!page.ids || !page.ids.length) break;
+    const { builds = [] } = await codeBuild.batchGetBuilds({ ids: page.ids });
+    const inProgress = builds.filter(
+      ({ buildStatus }) => buildStatus === "IN_PROGRESS"
+    );
+    if (!inProgress.length) break;
+    found.push(...inProgress);
+    nextToken = page.nextToken;
+  } while (nextToken);
+  return found;
+}
+
+// A pull request by its number, anything else by its ref
+function ref({ GITHUB_REF = "", GITHUB_HEAD_REF }) {
+  const pullRequest = GITHUB_REF.match(/^refs\/pull\/(\d+)\//);
+  if (pullRequest) return `pull/${pullRequest[1]}`;
+  return GITHUB_HEAD_REF || GITHUB_REF;
+}
+
+function variables(environmentVariables = []) {
+  return environmentVariables.reduce(
+    (all, { name, value }) => ({ ...all, [name]: value }),
+    {}
+  );
+}
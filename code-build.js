@@ -5,192 +5,504 @@ const core = require("@actions/core");
 const github = require("@actions/github");
 const { CloudWatchLogs } = require("@aws-sdk/client-cloudwatch-logs");
 const { CodeBuild } = require("@aws-sdk/client-codebuild");
+const { S3 } = require("@aws-sdk/client-s3");
 const assert = require("assert");
+const crypto = require("crypto");
+const { logPrinter } = require("./log-printer");
+const { withRetries, apiBudget } = require("./api-retry");
+const { logTailer } = require("./log-tailer");
+const { s3LogLocation, readS3Log } = require("./s3-log");
+const { cancelSuperseded } = require("./cancel-in-progress");
+const { checkBuildspec } = require("./buildspec");
+const { cacheLocation, seedCache } = require("./cache");
+const {
+  envVarEntries,
+  resolveEnvVars,
+  loadEnvFile,
+  mergeEnvVars,
+  checkEnvVarLimits,
+  warnProjectEnvVars,
+} = require("./env-vars");
+const {
+  loadStartBuildConfig,
+  mergeStartBuildConfig,
+} = require("./start-build-config");
+const {
+  loadProblemMatchers,
+  problemMatcher,
+  annotationBudget,
+} = require("./problem-matchers");
+const { maskEnvVars, loadMaskPatterns, logRedactor } = require("./masking");
 
 module.exports = {
   runBuild,
   build,
   waitForBuildEndTime,
+  waitForBuildBatchEndTime,
+  batchBuilds,
   inputs2Parameters,
   githubInputs,
   buildSdk,
   logName,
+  buildOutputs,
+  exportedVariables,
+  retryable,
 };
 
-function runBuild() {
-  // get a codeBuild instance from the SDK
-  const sdk = buildSdk();
-
-  const inputs = githubInputs();
+// GitHub variables that change every time a step runs
+const PER_EXECUTION_VARS = [
+  "GITHUB_OUTPUT",
+  "GITHUB_ENV",
+  "GITHUB_STATE",
+  "GITHUB_PATH",
+  "GITHUB_STEP_SUMMARY",
+  "GITHUB_RUN_ATTEMPT",
+];
 
+function runBuild(inputs = githubInputs(), sdk = buildSdk(inputs)) {
   const config = (({
     updateInterval,
-    updateBackOff,
     hideCloudWatchLogs,
+    logStreamingMode,
     stopOnSignals,
+    batch,
+    problemMatchers,
+    maxAnnotations,
+    retryAttempts,
+    retryOnPhases,
+    maxWait,
+    buildId,
+    waitForCompletion,
+    cancelInProgress,
+    cacheFallbackLocation,
   }) => ({
     updateInterval,
-    updateBackOff,
     hideCloudWatchLogs,
+    logStreamingMode,
     stopOnSignals,
+    batch,
+    problemMatchers,
+    maxAnnotations,
+    retryAttempts,
+    retryOnPhases,
+    maxWait,
+    buildId,
+    waitForCompletion,
+    cancelInProgress,
+    cacheFallbackLocation,
   }))(inputs);
 
-  // Get input options for startBuild
-  const params = inputs2Parameters(inputs);
+  // Get input options for startBuild.
+  // An existing build has none, so its inputs cannot fail the step.
+  const params = inputs.buildId ? {} : inputs2Parameters(inputs);
 
-  return build(sdk, params, config);
+  // The build log is printed as is, so mask what we passed on to the build
+  const redact = logRedactor({
+    secrets: maskEnvVars(
+      params.environmentVariablesOverride,
+      inputs.maskEnvVars
+    ),
+    patterns: inputs.maskLogPatterns,
+  });
+
+  return build(sdk, params, { ...config, redact });
 }
 
 async function build(sdk, params, config) {
-  // Start the build
-  const start = await sdk.codeBuild.startBuild(params);
+  const { buildId, waitForCompletion = true } = config;
+  if (buildId) core.info(`Attaching to build ${buildId}`);
+
+  // Seed a new branch cache before the build looks for it
+  if (config.cacheFallbackLocation && !buildId) {
+    const { location } = params.cacheOverride || {};
+    await seedCache(sdk.s3, location, config.cacheFallbackLocation);
+  }
+
+  if (config.batch) {
+    // StartBuildBatch names the build timeout differently
+    const { timeoutInMinutesOverride, ...batchParams } = params;
+
+    // Start the build batch, unless attaching to an existing one
+    const start = buildId
+      ? { buildBatch: { id: buildId } }
+      : await sdk.codeBuild
+          .startBuildBatch({
+            ...batchParams,
+            buildTimeoutInMinutesOverride: timeoutInMinutesOverride,
+          })
+          .catch(explainTokenMismatch(params));
+    if (!waitForCompletion) return start.buildBatch;
+    const running = { id: start.buildBatch.id };
+
+    // Set up signal handling to stop the batch on cancellation
+    setupSignalHandlers(sdk, running, config.stopOnSignals, true);
+    const deadline = setupMaxWait(sdk, running, config.maxWait, true);
+
+    // Wait for the batch and all of its builds to "complete"
+    const current = await waitForBuildBatchEndTime(
+      sdk,
+      start.buildBatch,
+      config
+    ).finally(deadline.clear);
+
+    return deadline.expired ? { ...current, maxWaitExceeded: true } : current;
+  }
+
+  const { retryAttempts = 0, retryOnPhases = [] } = config;
 
-  // Set up signal handling to stop the build on cancellation
-  setupSignalHandlers(sdk, start.build.id, config.stopOnSignals);
+  if (config.cancelInProgress && !buildId) {
+    await cancelSuperseded(sdk, params);
+  }
+
+  if (!buildId) await warnProjectEnvVars(sdk, params);
+
+  // Start the build, unless attaching to an existing one
+  const start = buildId
+    ? { build: { id: buildId } }
+    : await sdk.codeBuild
+        .startBuild(params)
+        .catch(explainTokenMismatch(params));
+  if (!waitForCompletion) return start.build;
+
+  // Set up signal handling to stop the build on cancellation.
+  // A retry replaces the id, so the handlers always stop the latest attempt.
+  const running = { id: start.build.id };
+  setupSignalHandlers(sdk, running, config.stopOnSignals);
+  const deadline = setupMaxWait(sdk, running, config.maxWait);
 
   // Wait for the build to "complete"
-  return waitForBuildEndTime(sdk, start.build, config);
+  let current;
+  const attempts = [];
+  try {
+    current = await waitForBuildEndTime(sdk, start.build, config);
+    attempts.push(current);
+
+    while (
+      attempts.length <= retryAttempts &&
+      !deadline.expired &&
+      retryable(current, retryOnPhases)
+    ) {
+      core.warning(
+        `Build ${current.id} ${current.buildStatus}, retrying (attempt ${
+          attempts.length + 1
+        } of ${retryAttempts + 1})`
+      );
+      const retry = await sdk.codeBuild.retryBuild({ id: current.id });
+      running.id = retry.build.id;
+
+      current = await waitForBuildEndTime(sdk, retry.build, config);
+      attempts.push(current);
+    }
+  } finally {
+    deadline.clear();
+  }
+
+  // The step fails once the outputs of the stopped build are set
+  return {
+    ...current,
+    attempts: attempts.map(({ id, buildStatus }) => ({ id, buildStatus })),
+    ...(deadline.expired ? { maxWaitExceeded: true } : {}),
+  };
+}
+
+// CodeBuild rejects a token it knows with other parameters
+function explainTokenMismatch({ idempotencyToken }) {
+  return (err) => {
+    if (
+      idempotencyToken &&
+      (/IdempotentParameterMismatch/.test(err.name) ||
+        /mismatch/i.test(err.message))
+    ) {
+      throw new Error(
+        `CodeBuild started a build with the idempotency token ${idempotencyToken} but other parameters in the last 5 minutes: ${err.message} Start the build with the same inputs, set another idempotency-token or wait 5 minutes.`
+      );
+    }
+    throw err;
+  };
 }
 
-function setupSignalHandlers(sdk, id, signals) {
+function setupSignalHandlers(sdk, running, signals, batch) {
   signals.forEach((s) => {
     core.info(`Installing signal handler for ${s}`);
     process.on(s, async () => {
-      try {
-        core.info(`Caught ${s}, attempting to stop build...`);
-        await sdk.codeBuild.stopBuild({ id });
-      } catch (ex) {
-        core.error(`Error stopping build: ${ex}`);
-      }
+      core.info(`Caught ${s}, attempting to stop build...`);
+      await stop(sdk, running, batch);
     });
   });
 }
 
+function setupMaxWait(sdk, running, maxWait, batch) {
+  const deadline = {
+    expired: false,
+    clear() {
+      clearTimeout(timer);
+    },
+  };
+
+  const timer =
+    maxWait &&
+    setTimeout(async () => {
+      deadline.expired = true;
+      core.error(
+        `Build ${running.id} exceeded max-wait, attempting to stop build...`
+      );
+      // Keep waiting so the final status and logs are still reported
+      await stop(sdk, running, batch);
+    }, maxWait);
+
+  return deadline;
+}
+
+async function stop(sdk, { id }, batch) {
+  try {
+    if (batch) {
+      await sdk.codeBuild.stopBuildBatch({ id });
+    } else {
+      await sdk.codeBuild.stopBuild({ id });
+    }
+  } catch (ex) {
+    core.error(`Error stopping build: ${ex}`);
+  }
+}
+
 async function waitForBuildEndTime(
   sdk,
-  { id, logs },
-  { updateInterval, updateBackOff, hideCloudWatchLogs },
-  seqEmptyLogs,
-  totalEvents,
-  throttleCount,
-  nextToken
+  { id },
+  {
+    updateInterval,
+    hideCloudWatchLogs,
+    logStreamingMode,
+    problemMatchers,
+    maxAnnotations,
+    redact,
+    printer = logPrinter({
+      matcher: problemMatcher(problemMatchers, { maxAnnotations }),
+      redact,
+    }),
+  }
 ) {
   const { codeBuild, cloudWatchLogs } = sdk;
 
-  totalEvents = totalEvents || 0;
-  seqEmptyLogs = seqEmptyLogs || 0;
-  throttleCount = throttleCount || 0;
-
-  // Get the CloudWatchLog info
-  const startFromHead = true;
-  const { cloudWatchLogsArn } = logs;
-  const { logGroupName, logStreamName } = logName(cloudWatchLogsArn);
-
-  let errObject = false;
-  // Check the state
-  const [batch, cloudWatch = {}] = await Promise.all([
-    codeBuild.batchGetBuilds({ ids: [id] }),
-    !hideCloudWatchLogs &&
-      logGroupName &&
-      cloudWatchLogs // only make the call if hideCloudWatchLogs is not enabled and a logGroupName exists
-        .getLogEvents({
-          logGroupName,
-          logStreamName,
-          startFromHead,
-          nextToken,
-        }),
-  ]).catch((err) => {
-    errObject = err;
-    /* Returning [] here so that the assignment above
-     * does not throw `TypeError: undefined is not iterable`.
-     * The error is handled below,
-     * since it might be a rate limit.
-     */
-    return [];
+  // The log is tailed on its own schedule, so a chatty build does not fall behind.
+  // Throttling and transient errors are retried by the SDK clients (see buildSdk),
+  // which also share one call-rate budget between the status polling and the tailing.
+  const tailer = logTailer(cloudWatchLogs, {
+    printer,
+    minIdle: Math.min(1000, updateInterval),
+    maxIdle: updateInterval,
+    liveTail: logStreamingMode === "live-tail",
   });
 
-  if (errObject) {
-    //We caught an error in trying to make the AWS api call, and are now checking to see if it was just a rate limiting error
-    if (errObject.message && errObject.message.search("Rate exceeded") !== -1) {
-      // We were rate-limited, so add backoff with Full Jitter, ref: https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
-      let jitteredBackOff = Math.floor(
-        Math.random() * (updateBackOff * 2 ** throttleCount)
-      );
-      let newWait = updateInterval + jitteredBackOff;
-      throttleCount++;
-
-      //Sleep before trying again
-      await new Promise((resolve) => setTimeout(resolve, newWait));
-
-      // Try again from the same token position
-      return waitForBuildEndTime(
-        { ...sdk },
-        { id, logs },
-        { updateInterval: newWait, updateBackOff },
-        seqEmptyLogs,
-        totalEvents,
-        throttleCount,
-        nextToken
-      );
-    } else {
-      //The error returned from the API wasn't about rate limiting, so throw it as an actual error and fail the job
-      throw errObject;
+  try {
+    for (;;) {
+      const { builds } = await codeBuild.batchGetBuilds({ ids: [id] });
+      const [current] = builds;
+
+      // only tail the log if hideCloudWatchLogs is not enabled and a logGroupName exists
+      if (!hideCloudWatchLogs) {
+        const { cloudWatchLogsArn } = current.logs || {};
+        tailer.follow({
+          ...logName(cloudWatchLogsArn),
+          logGroupArn:
+            cloudWatchLogsArn && cloudWatchLogsArn.split(":log-stream:")[0],
+        });
+      }
+      tailer.check();
+
+      if (current.endTime) {
+        if (!hideCloudWatchLogs) await drainLog(sdk, current, tailer, printer);
+        printer.end();
+        return current;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, updateInterval));
     }
+  } finally {
+    tailer.stop();
+  }
+}
+
+async function drainLog(sdk, { logs = {} }, tailer, printer) {
+  const { logGroupName } = logName(logs.cloudWatchLogsArn);
+  const s3Log = s3LogLocation(logs.s3LogsArn);
+
+  // Without CloudWatch Logs, the whole log is in S3 once the build completes
+  if (!logGroupName && s3Log) {
+    const lines = await readS3Log(sdk.s3, s3Log);
+    lines.forEach((line) => printer.print(line));
+    return;
   }
+  return tailer.drain();
+}
 
-  // Pluck off the relevant state
-  const [current] = batch.builds;
-  const { nextForwardToken, events = [] } = cloudWatch;
-
-  // GetLogEvents can return partial/empty responses even when there is data.
-  // We wait for two consecutive empty log responses to minimize false positive on EOF.
-  // Empty response counter starts after any logs have been received, or when the build completes.
-  if (events.length == 0 && (totalEvents > 0 || current.endTime)) {
-    seqEmptyLogs++;
-  } else {
-    seqEmptyLogs = 0;
+async function waitForBuildBatchEndTime(
+  sdk,
+  { id },
+  {
+    updateInterval,
+    hideCloudWatchLogs,
+    problemMatchers,
+    maxAnnotations,
+    redact,
   }
-  totalEvents += events.length;
+) {
+  const { codeBuild, cloudWatchLogs } = sdk;
+
+  // Every build in the batch tails its own log, like a single build does,
+  // keyed by build id.
+  const children = {};
+  const groups = batchLogGroups();
+  // One annotation limit for the whole batch,
+  // but every build matches its own log: the logs are printed interleaved.
+  const budget = annotationBudget(maxAnnotations);
+  const childFor = ({ id }, identifier) => {
+    if (!children[id]) {
+      const printer = groups.printer(identifier || id, {
+        // The builds of a batch are already grouped, and groups do not nest.
+        phaseGroups: false,
+        matcher: problemMatcher(problemMatchers, { budget }),
+        redact,
+      });
+      const tailer = logTailer(cloudWatchLogs, {
+        printer,
+        minIdle: Math.min(1000, updateInterval),
+        maxIdle: updateInterval,
+      });
+      children[id] = { printer, tailer, done: false };
+    }
+    return children[id];
+  };
+
+  try {
+    for (;;) {
+      const { buildBatches } = await codeBuild.batchGetBuildBatches({
+        ids: [id],
+      });
+      const [current] = buildBatches;
+
+      // Builds in a batch are created as the build graph progresses,
+      // so look up the log location of every build we know about
+      // that has not finished printing yet.
+      const pending = batchBuilds(current).filter(
+        ({ id }) => !(children[id] && children[id].done)
+      );
 
-  // stdout the CloudWatchLog (everyone likes progress...)
-  // CloudWatchLogs have line endings.
-  // I trim and then log each line
-  // to ensure that the line ending is OS specific.
-  events.forEach(({ message }) => console.log(message.trimEnd()));
+      if (!hideCloudWatchLogs && pending.length) {
+        const builds = await batchGetBuilds(
+          codeBuild,
+          pending.map(({ id }) => id)
+        );
+        await Promise.all(
+          builds.map((child) =>
+            followBatchBuild(
+              sdk,
+              child,
+              childFor(
+                child,
+                pending.find(({ id }) => id === child.id).identifier
+              )
+            )
+          )
+        );
+      }
+
+      // Stop after the batch is ended and every build log has been drained
+      if (
+        current.endTime &&
+        (hideCloudWatchLogs ||
+          batchBuilds(current).every(
+            ({ id }) => !children[id] || children[id].done
+          ))
+      ) {
+        return current;
+      }
 
-  // Stop after the build is ended and we've received two consecutive empty log responses
-  if (current.endTime && seqEmptyLogs >= 2) {
-    return current;
+      await new Promise((resolve) => setTimeout(resolve, updateInterval));
+    }
+  } finally {
+    Object.values(children).forEach(({ tailer }) => tailer.stop());
+    groups.end();
   }
+}
 
-  // More to do: Sleep for a few seconds to avoid rate limiting
-  // If never throttled and build is complete, halve CWL polling delay to minimize latency
-  await new Promise((resolve) =>
-    setTimeout(
-      resolve,
-      current.endTime && throttleCount == 0
-        ? updateInterval / 2
-        : updateInterval
-    )
-  );
+// Done once the build has ended and its whole log is printed
+async function followBatchBuild(sdk, child, state) {
+  const { cloudWatchLogsArn } = child.logs || {};
+  state.tailer.follow(logName(cloudWatchLogsArn));
+  state.tailer.check();
+  if (!child.endTime) return;
 
-  // Try again
-  return waitForBuildEndTime(
-    sdk,
-    current,
-    { updateInterval, updateBackOff, hideCloudWatchLogs },
-    seqEmptyLogs,
-    totalEvents,
-    throttleCount,
-    nextForwardToken
-  );
+  await drainLog(sdk, child, state.tailer, state.printer);
+  state.printer.end();
+  state.done = true;
+}
+
+/* The log of every build in the batch is printed in a group labelled
+ * with the build identifier. Groups do not nest or interleave,
+ * so the group only changes when another build prints:
+ * builds that run side by side have their log split over several groups.
+ */
+function batchLogGroups() {
+  let open;
+
+  return { printer, end };
+
+  function printer(identifier, options) {
+    const printer = logPrinter(options);
+    return {
+      print(message) {
+        if (open !== identifier) {
+          end();
+          core.startGroup(identifier);
+          open = identifier;
+        }
+        printer.print(message);
+      },
+      end: printer.end,
+    };
+  }
+
+  function end() {
+    if (open !== undefined) {
+      core.endGroup();
+      open = undefined;
+    }
+  }
+}
+
+// BatchGetBuilds takes at most 100 ids
+async function batchGetBuilds(codeBuild, ids) {
+  const found = [];
+  for (let i = 0; i < ids.length; i += 100) {
+    const { builds = [] } = await codeBuild.batchGetBuilds({
+      ids: ids.slice(i, i + 100),
+    });
+    found.push(...builds);
+  }
+  return found;
+}
+
+function batchBuilds({ buildGroups = [] }) {
+  // Build ARNs look like arn:aws:codebuild:region:account:build/project:uuid
+  // and the build id is everything after "build/".
+  return buildGroups
+    .filter(({ currentBuildSummary }) => currentBuildSummary)
+    .map(({ identifier, currentBuildSummary: { arn, buildStatus } }) => ({
+      identifier,
+      id: arn.split(":build/").pop(),
+      buildStatus,
+    }));
 }
 
 function githubInputs() {
-  const projectName = core.getInput("project-name", { required: true });
+  // An existing build already knows its project
+  const buildId = core.getInput("build-id", { required: false }) || undefined;
+  const projectName = core.getInput("project-name", { required: !buildId });
   const disableSourceOverride =
     core.getInput("disable-source-override", { required: false }) === "true";
   const { owner, repo } = github.context.repo;
+  // e.g. https://github.example.com on GitHub Enterprise Server
+  const serverUrl = process.env[`GITHUB_SERVER_URL`] || "https://github.com";
   const { payload } = github.context;
   // The github.context.sha is evaluated on import.
   // This makes it hard to test.
@@ -199,15 +511,15 @@ function githubInputs() {
   // the GITHUB_SHA value is NOT the correct value.
   // See: https://github.com/aws-actions/aws-codebuild-run-build/issues/36
   const sourceVersion =
-    core.getInput("source-version-override", { required: false }) || 
+    core.getInput("source-version-override", { required: false }) ||
     (process.env[`GITHUB_EVENT_NAME`] === "pull_request"
       ? (((payload || {}).pull_request || {}).head || {}).sha
       : process.env[`GITHUB_SHA`]);
 
   assert(sourceVersion, "No source version could be evaluated.");
 
-  const sourceTypeOverride = 
-    core.getInput("source-type-override", { required: false, }) || undefined;
+  const sourceTypeOverride =
+    core.getInput("source-type-override", { required: false }) || undefined;
 
   const sourceLocationOverride =
     core.getInput("source-location-override", { required: false }) || undefined;
@@ -230,11 +542,28 @@ function githubInputs() {
       required: false,
     }) || undefined;
 
-  const envPassthrough = core
-    .getInput("env-vars-for-codebuild", { required: false })
-    .split(",")
+  // identifier=owner/repo@ref, the ref is optional
+  const secondarySources = core
+    .getInput("secondary-sources", { required: false })
+    .split(/[,\n]/)
     .map((i) => i.trim())
-    .filter((i) => i !== "");
+    .filter((i) => i !== "")
+    .map(parseSecondarySource);
+
+  // identifier=ref, for the secondary sources of the project
+  const secondarySourceVersions = core
+    .getInput("secondary-source-versions", { required: false })
+    .split(/[,\n]/)
+    .map((i) => i.trim())
+    .filter((i) => i !== "")
+    .map(parseSecondarySourceVersion);
+
+  const envPassthrough = envVarEntries(
+    core.getInput("env-vars-for-codebuild", { required: false })
+  );
+
+  const envFile =
+    core.getInput("env-file-for-codebuild", { required: false }) || undefined;
 
   const updateInterval =
     parseInt(
@@ -250,22 +579,204 @@ function githubInputs() {
   const hideCloudWatchLogs =
     core.getInput("hide-cloudwatch-logs", { required: false }) === "true";
 
+  const logStreamingMode =
+    core.getInput("log-streaming-mode", { required: false }) || "poll";
+  assert(
+    ["poll", "live-tail"].includes(logStreamingMode),
+    `Unknown log-streaming-mode ${logStreamingMode}. Use poll or live-tail.`
+  );
+
   const disableGithubEnvVars =
     core.getInput("disable-github-env-vars", { required: false }) === "true";
 
   const artifactsTypeOverride =
     core.getInput("artifacts-type-override", { required: false }) || undefined;
 
+  const artifactsLocationOverride =
+    core.getInput("artifacts-location-override", { required: false }) ||
+    undefined;
+
+  const artifactsPathOverride =
+    core.getInput("artifacts-path-override", { required: false }) || undefined;
+
+  const artifactsNameOverride =
+    core.getInput("artifacts-name-override", { required: false }) || undefined;
+
+  const artifactsNamespaceTypeOverride =
+    core.getInput("artifacts-namespace-type-override", { required: false }) ||
+    undefined;
+
+  const artifactsPackagingOverride =
+    core.getInput("artifacts-packaging-override", { required: false }) ||
+    undefined;
+
+  const cacheTypeOverride =
+    core.getInput("cache-type-override", { required: false }) || undefined;
+
+  // One cache per branch, e.g. my-bucket/cache/{ref}
+  const ref = process.env[`GITHUB_HEAD_REF`] || process.env[`GITHUB_REF_NAME`];
+  const cacheLocationTemplate = core.getInput("cache-location-override", {
+    required: false,
+  });
+  const cacheLocationOverride = buildId
+    ? undefined
+    : cacheLocation(cacheLocationTemplate, ref);
+
+  const cacheModesOverride = core
+    .getInput("cache-modes-override", { required: false })
+    .split(",")
+    .map((i) => i.trim())
+    .filter((i) => i !== "");
+
+  // A new branch starts from the cache of the default branch
+  const cacheFallback =
+    core.getInput("cache-fallback-to-default-branch", { required: false }) ===
+    "true";
+  const defaultBranch = ((payload || {}).repository || {}).default_branch;
+  if (cacheFallback && !defaultBranch && !buildId) {
+    core.warning(
+      "The default branch of the repository is unknown, so the cache is not seeded from it."
+    );
+  }
+  const cacheFallbackLocation =
+    cacheFallback && defaultBranch && !buildId
+      ? cacheLocation(cacheLocationTemplate, defaultBranch)
+      : undefined;
+
+  const downloadArtifacts =
+    core.getInput("download-artifacts", { required: false }) === "true";
+
+  const downloadArtifactsPath =
+    core.getInput("download-artifacts-path", { required: false }) ||
+    "codebuild-artifacts";
+
   const stopOnSignals = core
     .getInput("stop-on-signals", { required: false })
     .split(",")
     .map((i) => i.trim())
     .filter((i) => i !== "");
 
+  const batch = core.getInput("batch-build", { required: false }) === "true";
+
+  const exportedVariablesPrefix =
+    core.getInput("exported-variables-prefix", { required: false }) || "";
+
+  const exportedVariablesToEnv =
+    core.getInput("exported-variables-to-env", { required: false }) === "true";
+
+  const problemMatchers = loadProblemMatchers(
+    core
+      .getInput("problem-matchers", { required: false })
+      .split(",")
+      .map((i) => i.trim())
+      .filter((i) => i !== "")
+  );
+
+  const maxAnnotations = parseInt(
+    core.getInput("max-annotations", { required: false }) || "50",
+    10
+  );
+
+  const retryAttempts = parseInt(
+    core.getInput("retry-attempts", { required: false }) || "0",
+    10
+  );
+
+  const retryOnPhases = (
+    core.getInput("retry-on-phases", { required: false }) ||
+    "PROVISIONING, DOWNLOAD_SOURCE, *:CLIENT_ERROR"
+  )
+    .split(",")
+    .map((i) => i.trim())
+    .filter((i) => i !== "");
+
+  const timeoutInMinutesOverride =
+    parseInt(
+      core.getInput("timeout-in-minutes-override", { required: false }),
+      10
+    ) || undefined;
+
+  const queuedTimeoutInMinutesOverride =
+    parseInt(
+      core.getInput("queued-timeout-in-minutes-override", { required: false }),
+      10
+    ) || undefined;
+
+  const maxWait =
+    parseFloat(core.getInput("max-wait", { required: false }) || "0") *
+    60 *
+    1000;
+
+  const maxRetryTime =
+    parseInt(
+      core.getInput("max-retry-time", { required: false }) || "300",
+      10
+    ) * 1000;
+
+  const waitForCompletion =
+    core.getInput("wait-for-completion", { required: false }) !== "false";
+  assert(
+    waitForCompletion || !buildId,
+    "wait-for-completion: false cannot be used with build-id."
+  );
+
+  const startBuildConfig = buildId
+    ? undefined
+    : loadStartBuildConfig(
+        core.getInput("start-build-config", { required: false })
+      );
+
+  const idempotency =
+    core.getInput("idempotency", { required: false }) === "true";
+  // A custom deduplication key, which opts in as well
+  const idempotencyToken =
+    core.getInput("idempotency-token", { required: false }) || undefined;
+
+  const cancelInProgress =
+    core.getInput("cancel-in-progress", { required: false }) === "true";
+
+  // Send a buildspec file from the workspace inline,
+  // e.g. when the build does not check out this repository
+  const inlineBuildspec =
+    core.getInput("inline-buildspec", { required: false }) === "true";
+
+  // Every forwarded value by default, or the listed variables only
+  const maskEnvVarsInput = core
+    .getInput("mask-env-vars", { required: false })
+    .trim();
+  const maskEnvVars =
+    !maskEnvVarsInput || maskEnvVarsInput === "true"
+      ? true
+      : maskEnvVarsInput === "false"
+      ? false
+      : maskEnvVarsInput
+          .split(",")
+          .map((i) => i.trim())
+          .filter((i) => i !== "");
+
+  const maskLogPatterns = loadMaskPatterns(
+    core
+      .getInput("mask-log-patterns", { required: false })
+      .split("\n")
+      .map((i) => i.trim())
+      .filter((i) => i !== "")
+  );
+
+  const disableJobSummary =
+    core.getInput("disable-job-summary", { required: false }) === "true";
+
+  const testReports =
+    core.getInput("test-reports", { required: false }) === "true";
+
+  const coverageThreshold =
+    parseFloat(core.getInput("coverage-threshold", { required: false })) ||
+    undefined;
+
   return {
     projectName,
     owner,
     repo,
+    serverUrl,
     sourceVersion,
     sourceTypeOverride,
     sourceLocationOverride,
@@ -274,14 +785,52 @@ function githubInputs() {
     environmentTypeOverride,
     imageOverride,
     imagePullCredentialsTypeOverride,
+    secondarySources,
+    secondarySourceVersions,
     envPassthrough,
+    envFile,
     updateInterval,
     updateBackOff,
     disableSourceOverride,
     hideCloudWatchLogs,
+    logStreamingMode,
     disableGithubEnvVars,
     artifactsTypeOverride,
+    artifactsLocationOverride,
+    artifactsPathOverride,
+    artifactsNameOverride,
+    artifactsNamespaceTypeOverride,
+    artifactsPackagingOverride,
+    downloadArtifacts,
+    downloadArtifactsPath,
+    cacheTypeOverride,
+    cacheLocationOverride,
+    cacheModesOverride,
+    cacheFallbackLocation,
     stopOnSignals,
+    batch,
+    exportedVariablesPrefix,
+    exportedVariablesToEnv,
+    problemMatchers,
+    maxAnnotations,
+    retryAttempts,
+    retryOnPhases,
+    timeoutInMinutesOverride,
+    queuedTimeoutInMinutesOverride,
+    maxWait,
+    maxRetryTime,
+    buildId,
+    waitForCompletion,
+    cancelInProgress,
+    startBuildConfig,
+    idempotency,
+    idempotencyToken,
+    inlineBuildspec,
+    maskEnvVars,
+    maskLogPatterns,
+    disableJobSummary,
+    testReports,
+    coverageThreshold,
   };
 }
 
@@ -298,62 +847,243 @@ function inputs2Parameters(inputs) {
     environmentTypeOverride,
     imageOverride,
     imagePullCredentialsTypeOverride,
+    secondarySources = [],
+    secondarySourceVersions = [],
     envPassthrough = [],
+    envFile,
     disableSourceOverride,
     disableGithubEnvVars,
     artifactsTypeOverride,
+    artifactsLocationOverride,
+    artifactsPathOverride,
+    artifactsNameOverride,
+    artifactsNamespaceTypeOverride,
+    artifactsPackagingOverride,
+    cacheTypeOverride,
+    cacheLocationOverride,
+    cacheModesOverride = [],
+    timeoutInMinutesOverride,
+    queuedTimeoutInMinutesOverride,
+    startBuildConfig,
+    idempotency,
+    idempotencyToken,
+    inlineBuildspec,
+    serverUrl = "https://github.com",
   } = inputs;
 
+  // GitHub Enterprise Server is its own CodeBuild source type
+  const server = serverUrl.replace(/\/+$/, "");
+  const sourceType =
+    new URL(server).hostname === "github.com" ? "GITHUB" : "GITHUB_ENTERPRISE";
+  const gitUrl = (owner, repo) => `${server}/${owner}/${repo}.git`;
+
   const sourceOverride = !disableSourceOverride
     ? {
         // sourceVersion should not be set when using sourceTypeOverride or sourceLocationOverride
         ...(sourceTypeOverride || sourceLocationOverride
           ? {}
-          : {sourceVersion}),
-        sourceTypeOverride: sourceTypeOverride || "GITHUB",
-        sourceLocationOverride: sourceLocationOverride || `https://github.com/${owner}/${repo}.git`,
+          : { sourceVersion }),
+        sourceTypeOverride: sourceTypeOverride || sourceType,
+        sourceLocationOverride: sourceLocationOverride || gitUrl(owner, repo),
       }
     : {};
 
-  const artifactsOverride = artifactsTypeOverride
+  // Without a ref, this repository is built at the same commit as the primary source,
+  // e.g. a pull request here is tested against the project's primary source.
+  const thisRepo = `${owner}/${repo}`.toLowerCase();
+  const secondaryVersions = secondarySources
+    .map((source) => ({
+      sourceIdentifier: source.sourceIdentifier,
+      sourceVersion:
+        source.sourceVersion ||
+        (`${source.owner}/${source.repo}`.toLowerCase() === thisRepo
+          ? sourceVersion
+          : undefined),
+    }))
+    .filter((version) => version.sourceVersion)
+    .concat(secondarySourceVersions);
+
+  const secondarySourcesOverride = {
+    ...(secondarySources.length
+      ? {
+          secondarySourcesOverride: secondarySources.map(
+            ({ sourceIdentifier, owner, repo }) => ({
+              sourceIdentifier,
+              type: sourceType,
+              location: gitUrl(owner, repo),
+            })
+          ),
+        }
+      : {}),
+    ...(secondaryVersions.length
+      ? { secondarySourcesVersionOverride: secondaryVersions }
+      : {}),
+  };
+
+  // Only S3 artifacts have these, so they imply the type
+  const artifacts = Object.entries({
+    location: artifactsLocationOverride,
+    path: artifactsPathOverride,
+    name: artifactsNameOverride,
+    namespaceType: artifactsNamespaceTypeOverride,
+    packaging: artifactsPackagingOverride,
+  })
+    .filter(([, value]) => value)
+    .reduce((all, [key, value]) => ({ ...all, [key]: value }), {});
+  const artifactsOverride =
+    artifactsTypeOverride || Object.keys(artifacts).length
+      ? {
+          artifactsOverride: {
+            type: artifactsTypeOverride || "S3",
+            ...artifacts,
+          },
+        }
+      : {};
+
+  // A location means an S3 cache, modes a local one
+  const cacheType =
+    cacheTypeOverride ||
+    (cacheLocationOverride
+      ? "S3"
+      : cacheModesOverride.length
+      ? "LOCAL"
+      : undefined);
+  const cacheOverride = cacheType
     ? {
-        artifactsOverride: {
-          type: artifactsTypeOverride,
+        cacheOverride: {
+          type: cacheType,
+          ...(cacheLocationOverride ? { location: cacheLocationOverride } : {}),
+          ...(cacheModesOverride.length ? { modes: cacheModesOverride } : {}),
         },
       }
     : {};
 
-  const environmentVariablesOverride = Object.entries(process.env)
-    .filter(
-      ([key]) =>
-        (!disableGithubEnvVars && key.startsWith("GITHUB_")) ||
-        envPassthrough.includes(key)
-    )
-    .map(([name, value]) => ({ name, value, type: "PLAINTEXT" }));
+  // The GitHub variables, then the env file, then env-vars-for-codebuild
+  const environmentVariablesOverride = mergeEnvVars(
+    disableGithubEnvVars ? [] : resolveEnvVars(["GITHUB_*"]),
+    loadEnvFile(envFile),
+    resolveEnvVars(envPassthrough)
+  );
 
-  // The idempotencyToken is intentionally not set.
+  // Any other StartBuild field comes from start-build-config
+  const params = mergeStartBuildConfig(
+    {
+      projectName,
+      ...sourceOverride,
+      ...secondarySourcesOverride,
+      buildspecOverride,
+      ...artifactsOverride,
+      ...cacheOverride,
+      computeTypeOverride,
+      environmentTypeOverride,
+      imageOverride,
+      imagePullCredentialsTypeOverride,
+      environmentVariablesOverride,
+      timeoutInMinutesOverride,
+      queuedTimeoutInMinutesOverride,
+    },
+    startBuildConfig
+  );
+
+  // With the variables of start-build-config too
+  checkEnvVarLimits(params.environmentVariablesOverride);
+
+  // A broken buildspec fails here, rather than after the build got a container
+  params.buildspecOverride = checkBuildspec(params.buildspecOverride, {
+    inline: inlineBuildspec,
+  });
+
+  // The idempotencyToken is not set by default.
   // This way the GitHub events can manage the builds.
+  // Opted in, a retried step gets the build it already started back from startBuild.
+  // Like any other field, a token in start-build-config wins.
+  if (!params.idempotencyToken && !idempotencyToken && !idempotency) {
+    return { ...params, idempotencyToken: undefined };
+  }
+
+  // CodeBuild rejects a token it knows with other parameters,
+  // so the variables that change every time the step runs are not passed on.
+  const request = {
+    ...params,
+    environmentVariablesOverride: (
+      params.environmentVariablesOverride || []
+    ).filter(({ name }) => !PER_EXECUTION_VARS.includes(name)),
+  };
   return {
-    projectName,
-    ...sourceOverride,
-    buildspecOverride,
-    ...artifactsOverride,
-    computeTypeOverride,
-    environmentTypeOverride,
-    imageOverride,
-    imagePullCredentialsTypeOverride,
-    environmentVariablesOverride,
+    ...request,
+    idempotencyToken:
+      params.idempotencyToken || idempotencyToken || stepToken(request),
   };
 }
 
-function buildSdk() {
-  const codeBuild = new CodeBuild({
-    customUserAgent: "aws-actions/aws-codebuild-run-build",
-  });
+/* The same step of the same run gets the same token, in any run attempt.
+ * Matrix jobs share the job name, so the parameters go into the token too:
+ * only identical builds are deduplicated.
+ */
+function stepToken(request) {
+  const { GITHUB_RUN_ID, GITHUB_JOB, GITHUB_ACTION } = process.env;
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([GITHUB_RUN_ID, GITHUB_JOB, GITHUB_ACTION, request]))
+    .digest("hex")
+    .slice(0, 32);
+}
 
-  const cloudWatchLogs = new CloudWatchLogs({
-    customUserAgent: "aws-actions/aws-codebuild-run-build",
-  });
+// CodeBuild source identifiers are letters, digits and underscores
+function parseSecondarySource(value) {
+  const found = value.match(
+    /^(\w+)=([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:@(\S+))?$/
+  );
+  assert(
+    found,
+    `Invalid secondary source ${value}, use identifier=owner/repo or identifier=owner/repo@ref.`
+  );
+  const [, sourceIdentifier, owner, repo, sourceVersion] = found;
+  return { sourceIdentifier, owner, repo, sourceVersion };
+}
+
+function parseSecondarySourceVersion(value) {
+  const found = value.match(/^(\w+)=(\S+)$/);
+  assert(
+    found,
+    `Invalid secondary source version ${value}, use identifier=ref.`
+  );
+  const [, sourceIdentifier, sourceVersion] = found;
+  return { sourceIdentifier, sourceVersion };
+}
+
+function buildSdk({ updateBackOff, maxRetryTime } = {}) {
+  // Every API call shares the same retry policy and call-rate budget
+  const retries = { updateBackOff, maxRetryTime, budget: apiBudget() };
+
+  // withRetries is the only retry policy, so the SDK clients do not retry
+  const codeBuild = withRetries(
+    new CodeBuild({
+      customUserAgent: "aws-actions/aws-codebuild-run-build",
+      maxAttempts: 1,
+    }),
+    {
+      ...retries,
+      nonIdempotent: ["startBuild", "startBuildBatch", "retryBuild"],
+    }
+  );
+
+  const cloudWatchLogs = withRetries(
+    new CloudWatchLogs({
+      customUserAgent: "aws-actions/aws-codebuild-run-build",
+      maxAttempts: 1,
+    }),
+    retries
+  );
+
+  // For S3 build logs, artifact downloads and cache seeding
+  const s3 = withRetries(
+    new S3({
+      customUserAgent: "aws-actions/aws-codebuild-run-build",
+      maxAttempts: 1,
+    }),
+    retries
+  );
 
   // check if environment variable exists for the container credential provider
   if (
@@ -366,7 +1096,116 @@ function buildSdk() {
     );
   }
 
-  return { codeBuild, cloudWatchLogs };
+  return { codeBuild, cloudWatchLogs, s3 };
+}
+
+function buildOutputs(build) {
+  const {
+    id,
+    arn,
+    buildStatus,
+    buildNumber,
+    phases = [],
+    logs = {},
+    resolvedSourceVersion,
+    artifacts = {},
+    attempts,
+  } = build;
+
+  // The retry attempts and max-wait are ours, not part of the CodeBuild record
+  const record = { ...build };
+  delete record.attempts;
+  delete record.maxWaitExceeded;
+
+  const outputs = {
+    "aws-build-id": id,
+    "aws-build-arn": arn,
+    "build-json": JSON.stringify(record),
+  };
+
+  if (build.buildBatchStatus) {
+    return {
+      ...outputs,
+      "aws-build-status": build.buildBatchStatus,
+      "aws-build-number": build.buildBatchNumber,
+      "aws-build-batch-id": id,
+      "aws-build-batch-builds": JSON.stringify(batchBuilds(build)),
+    };
+  }
+
+  // Only completed phases have a duration.
+  const phaseDurations = phases
+    .filter(({ durationInSeconds }) => durationInSeconds !== undefined)
+    .reduce(
+      (durations, { phaseType, durationInSeconds }) => ({
+        ...durations,
+        [phaseType]: durationInSeconds,
+      }),
+      {}
+    );
+
+  return {
+    ...outputs,
+    "aws-build-status": buildStatus,
+    "aws-build-number": buildNumber,
+    "aws-build-phase-durations": JSON.stringify(phaseDurations),
+    "aws-build-log-link": logs.deepLink,
+    "aws-build-log-s3-location": s3Uri(s3LogLocation(logs.s3LogsArn)),
+    "aws-build-resolved-source-version": resolvedSourceVersion,
+    "aws-build-artifact-location": artifacts.location,
+    "aws-build-attempts": JSON.stringify(attempts || [{ id, buildStatus }]),
+  };
+}
+
+function s3Uri(location) {
+  return location && `s3://${location.Bucket}/${location.Key}`;
+}
+
+function exportedVariables(
+  { exportedEnvironmentVariables = [] },
+  { exportedVariablesPrefix = "" } = {}
+) {
+  return exportedEnvironmentVariables.map(({ name, value = "" }) => ({
+    name: `${exportedVariablesPrefix}${name}`,
+    value,
+    secret: looksSecret(name, value),
+  }));
+}
+
+function looksSecret(name, value) {
+  // Exported variables are plain text in CodeBuild,
+  // so guess from the name and the shape of the value.
+  // An AWS access key id is recognizable on its own.
+  return (
+    /secret|token|passw(or)?d|credential|private|api_?key/i.test(name) ||
+    /^(AKIA|ASIA)[A-Z0-9]{16}$/.test(value)
+  );
+}
+
+function retryable({ buildStatus, phases = [] }, retryOnPhases = []) {
+  // Never retry a build that succeeded or that somebody stopped.
+  if (["SUCCEEDED", "STOPPED", "IN_PROGRESS"].includes(buildStatus)) {
+    return false;
+  }
+
+  // Every entry is PHASE, PHASE:STATUS or *:STATUS.
+  // The status is the phase status or the status code of one of its contexts.
+  const rules = retryOnPhases.map((rule) => {
+    const [phase, status] = rule.split(":").map((i) => i.trim());
+    return { phase, status };
+  });
+
+  return phases
+    .filter(({ phaseStatus }) => phaseStatus && phaseStatus !== "SUCCEEDED")
+    .some(({ phaseType, phaseStatus, contexts = [] }) =>
+      rules.some(
+        ({ phase, status }) =>
+          (phase === "*" || phase === phaseType) &&
+          (!status ||
+            status === phaseStatus ||
+            contexts.some(({ statusCode }) => statusCode === status))
+      )
+    );
 }
 
 function logName(Arn) {
@@ -0,0 +1,184 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+
+module.exports = {
+  envVarEntries,
+  resolveEnvVars,
+  loadEnvFile,
+  mergeEnvVars,
+  checkEnvVarLimits,
+  warnProjectEnvVars,
+};
+
+const TYPES = ["PLAINTEXT", "PARAMETER_STORE", "SECRETS_MANAGER"];
+
+// The CodeBuild quotas for environment variables, see
+// https://docs.aws.amazon.com/codebuild/latest/userguide/limits.html
+const MAX_NAME_LENGTH = 255;
+const MAX_TOTAL_LENGTH = 12288;
+
+/* Split the env-vars-for-codebuild input into entries.
+ * Entries are separated by commas or new lines,
+ * except that a NAME=value entry takes the rest of its line,
+ * so values can have commas.
+ */
+function envVarEntries(value) {
+  return value
+    .split("\n")
+    .map((line) => {
+      const literal = line.search(/(?:^|,)\s*\w+(?::\w+)?\s*=/);
+      if (literal === -1) return line.split(",");
+      const start = line[literal] === "," ? literal + 1 : literal;
+      return [...line.slice(0, literal).split(","), line.slice(start)];
+    })
+    .reduce((all, entries) => all.concat(entries), [])
+    .map((i) => i.trim())
+    .filter((i) => i !== "");
+}
+
+/* The environment variables an entry declares:
+ *   NAME             the runner variable NAME
+ *   NPM_*            every runner variable that matches the glob
+ *   NAME<-GH_NAME    the runner variable GH_NAME, renamed to NAME
+ *   NAME=value       the value as is
+ * Any NAME can be followed by :PARAMETER_STORE or :SECRETS_MANAGER,
+ * then the value is the parameter or secret for CodeBuild to look up.
+ * Runner variables that are not set are skipped.
+ */
+function resolveEnvVars(entries = [], env = process.env) {
+  return entries
+    .map((entry) => {
+      const found = entry.match(
+        /^([\w*]+)(?::(\w+))?\s*(?:(=)\s*(.*)|<-\s*(\w+))?$/
+      );
+      assert(
+        found,
+        `Invalid environment variable ${entry}, use NAME, NAME=value or NAME<-RUNNER_NAME.`
+      );
+      const [, name, type = "PLAINTEXT", literal, value, from] = found;
+      assert(
+        TYPES.includes(type),
+        `Invalid environment variable type ${type}, use one of ${TYPES.join(
+          ", "
+        )}.`
+      );
+
+      if (name.includes("*")) {
+        assert(
+          !literal && !from,
+          `Environment variable patterns like ${name} can only pass runner variables on.`
+        );
+        const pattern = new RegExp(`^${name.replace(/\*/g, "\\w*")}$`);
+        return Object.keys(env)
+          .filter((key) => pattern.test(key))
+          .sort()
+          .map((key) => ({ name: key, value: env[key], type }));
+      }
+      if (literal) return [{ name, value, type }];
+      const source = from || name;
+      return env[source] === undefined
+        ? []
+        : [{ name, value: env[source], type }];
+    })
+    .reduce((all, vars) => all.concat(vars), []);
+}
+
+// A dotenv file in the workspace: NAME=value lines, # comments, optional quotes
+function loadEnvFile(file) {
+  if (!file) return [];
+  const content = fs.readFileSync(
+    path.resolve(process.env.GITHUB_WORKSPACE || "", file),
+    "utf8"
+  );
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const found = line.match(/^(?:export\s+)?(\w+)\s*=\s*(.*)$/);
+      assert(found, `Invalid line in ${file}: ${line}`);
+      const [, name, raw] = found;
+      const quoted = raw.match(/^(["'])(.*)\1$/);
+      const value = quoted
+        ? quoted[1] === '"'
+          ? quoted[2].replace(/\\n/g, "\n")
+          : quoted[2]
+        : raw.replace(/\s+#.*$/, "");
+      return { name, value, type: "PLAINTEXT" };
+    });
+}
+
+/* The later variable of a name wins,
+ * declaring a name twice is likely a mistake, so it warns.
+ */
+function mergeEnvVars(...lists) {
+  const merged = new Map();
+  lists
+    .reduce((all, list) => all.concat(list), [])
+    .forEach((variable) => {
+      if (merged.has(variable.name)) {
+        core.warning(
+          `The environment variable ${variable.name} is declared more than once, the last one is passed to CodeBuild.`
+        );
+        merged.delete(variable.name);
+      }
+      merged.set(variable.name, variable);
+    });
+  return [...merged.values()];
+}
+
+// StartBuild rejects these, better to fail before starting anything
+function checkEnvVarLimits(vars = []) {
+  vars.forEach(({ name }) =>
+    assert(
+      name.length <= MAX_NAME_LENGTH,
+      `The environment variable name ${name.slice(
+        0,
+        32
+      )}... is longer than ${MAX_NAME_LENGTH} characters.`
+    )
+  );
+  const total = vars.reduce(
+    (sum, { name, value = "" }) => sum + name.length + value.length,
+    0
+  );
+  assert(
+    total <= MAX_TOTAL_LENGTH,
+    `The environment variables for CodeBuild have ${total} characters, more than the ${MAX_TOTAL_LENGTH} CodeBuild allows. Pass fewer or shorter variables, e.g. with disable-github-env-vars.`
+  );
+}
+
+/* Variables passed to StartBuild replace the ones the project defines.
+ * That is easy to miss, so warn about it.
+ * Only a hint: without codebuild:BatchGetProjects it is skipped.
+ */
+async function warnProjectEnvVars(
+  sdk,
+  { projectName, environmentVariablesOverride = [] }
+) {
+  let projects;
+  try {
+    ({ projects = [] } = await sdk.codeBuild.batchGetProjects({
+      names: [projectName],
+    }));
+  } catch (err) {
+    core.debug(`Unable to check the project environment variables: ${err}`);
+    return;
+  }
+  const [{ environment = {} } = {}] = projects;
+  const defined = (environment.environmentVariables || []).map(
+    ({ name }) => name
+  );
+  environmentVariablesOverride
+    .filter(({ name }) => defined.includes(name))
+    .forEach(({ name }) =>
+      core.warning(
+        `The environment variable ${name} replaces the one the project ${projectName} defines.`
+      )
+    );
+}
@@ -2,7 +2,20 @@
 // SPDX-License-Identifier: Apache-2.0
 
 const core = require("@actions/core");
-const { runBuild } = require("./code-build");
+const {
+  runBuild,
+  githubInputs,
+  buildSdk,
+  buildOutputs,
+  exportedVariables,
+} = require("./code-build");
+const { buildSummary, reportsSummary } = require("./summary");
+const {
+  fetchReports,
+  annotateFailedTests,
+  assertCoverage,
+} = require("./reports");
+const { downloadArtifacts } = require("./artifacts");
 const assert = require("assert");
 
 /* istanbul ignore next */
@@ -15,14 +28,73 @@ module.exports = run;
 async function run() {
   console.log("*****STARTING CODEBUILD*****");
   try {
-    const build = await runBuild();
-    core.setOutput("aws-build-id", build.id);
+    const inputs = githubInputs();
+    const sdk = buildSdk(inputs);
+    const build = await runBuild(inputs, sdk);
+    Object.entries(buildOutputs(build)).forEach(([name, value]) =>
+      core.setOutput(name, value)
+    );
+
+    // Detached: a later step or job attaches to the build with build-id
+    if (!inputs.waitForCompletion) {
+      core.info(`Started build ${build.id}, not waiting for it to complete.`);
+      return;
+    }
+
+    // Pass the buildspec `exported-variables` on to later steps
+    exportedVariables(build, inputs).forEach(({ name, value, secret }) => {
+      if (secret) core.setSecret(value);
+      core.setOutput(name, value);
+      if (inputs.exportedVariablesToEnv) core.exportVariable(name, value);
+    });
+
+    // Report groups are opt-in because they need more permissions
+    const reports =
+      inputs.testReports || inputs.coverageThreshold !== undefined
+        ? await fetchReports(sdk, build)
+        : [];
+    annotateFailedTests(reports);
+
+    if (!inputs.disableJobSummary) {
+      // A missing job summary should never fail the build
+      await reportsSummary(reports, buildSummary(build))
+        .write()
+        .catch((err) => core.warning(`Unable to write job summary: ${err}`));
+    }
+
+    // Hand the files the build produced to later steps
+    if (inputs.downloadArtifacts && build.buildStatus === "SUCCEEDED") {
+      const paths = await downloadArtifacts(sdk, build, {
+        dir: inputs.downloadArtifactsPath,
+      });
+      core.setOutput("aws-build-artifact-path", paths.primary);
+      core.setOutput("aws-build-artifact-paths", JSON.stringify(paths));
+    }
+
+    // The action stopped the build itself
+    assert(
+      !build.maxWaitExceeded,
+      `Build ${build.id} did not complete within max-wait (${
+        inputs.maxWait / 60000
+      } minutes) and was stopped.`
+    );
+
+    if (build.buildBatchStatus) {
+      // Signal the outcome of the batch as a whole
+      assert(
+        build.buildBatchStatus === "SUCCEEDED",
+        `Build batch status: ${build.buildBatchStatus}`
+      );
+      return;
+    }
 
     // Signal the outcome
     assert(
       build.buildStatus === "SUCCEEDED",
       `Build status: ${build.buildStatus}`
     );
+
+    assertCoverage(reports, inputs.coverageThreshold);
   } catch (error) {
     core.setFailed(error.message);
   } finally {
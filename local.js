@@ -19,6 +19,7 @@ const {
   remote,
   updateInterval,
   updateBackOff,
+  batchBuild,
 } = yargs
   .option("project-name", {
     alias: "p",
@@ -76,6 +77,11 @@ const {
       "Base update interval back-off value when encountering API rate-limiting",
     default: 15,
     type: "number",
+  })
+  .option("batch-build", {
+    describe: "Run a batch build instead of a single build",
+    default: false,
+    type: "boolean",
   }).argv;
 
 const BRANCH_NAME = uuid();
@@ -95,9 +101,10 @@ const params = cb.inputs2Parameters({
 const config = {
   updateInterval: updateInterval * 1000,
   updateBackOff: updateBackOff * 1000,
+  batch: batchBuild,
 };
 
-const sdk = cb.buildSdk();
+const sdk = cb.buildSdk(config);
 
 pushBranch(remote, BRANCH_NAME);
 
@@ -117,8 +124,6 @@ function deleteBranch(remote, branchName) {
 }
 
 function githubInfo(remote) {
-  const gitHubSSH = "git@github.com:";
-  const gitHubHTTPS = "https://github.com/";
   /* Expecting to match something like:
    * 'fork    git@github.com:seebees/aws-codebuild-run-build.git (push)'
    * Which is the output of `git remote -v`
@@ -137,13 +142,17 @@ function githubInfo(remote) {
     .filter((line) => line.trim().match(remoteMatch));
   assert(gitRemote, `No remote found named ${remote}`);
   const [, url] = gitRemote.split(/[\t ]/);
-  if (url.startsWith(gitHubHTTPS)) {
-    const [owner, repo] = url.slice(gitHubHTTPS.length, -4).split("/");
-    return { owner, repo };
-  } else if (url.startsWith(gitHubSSH)) {
-    const [owner, repo] = url.slice(gitHubSSH.length, -4).split("/");
-    return { owner, repo };
-  } else {
-    throw new Error(`Unsupported format: ${url}`);
-  }
+  /* Any GitHub host, so GitHub Enterprise Server remotes work too:
+   * https://github.example.com/owner/repo.git
+   * git@github.example.com:owner/repo.git
+   * ssh://git@github.example.com:2222/owner/repo.git
+   */
+  const found =
+    url.match(/^https:\/\/(?:[^@/]+@)?([^/]+)\/([^/]+)\/([^/]+?)(?:\.git)?$/) ||
+    url.match(
+      /^(?:ssh:\/\/)?[\w.-]+@([^:/]+)(?::\d+)?[:/]([^/]+)\/([^/]+?)(?:\.git)?$/
+    );
+  if (!found) throw new Error(`Unsupported format: ${url}`);
+  const [, host, owner, repo] = found;
+  return { owner, repo, serverUrl: `https://${host}` };
 }
@@ -0,0 +1,61 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+
+module.exports = {
+  logPrinter,
+};
+
+// CodeBuild marks the phases in the log like so:
+// [Container] 2020/01/01 00:00:00.000000 Entering phase BUILD
+// [Container] 2020/01/01 00:00:00.000000 Phase complete: BUILD State: FAILED
+const ENTERING_PHASE = /Entering phase (\w+)/;
+const PHASE_COMPLETE = /Phase complete: (\w+) State: (\w+)/;
+
+function logPrinter({
+  phaseGroups = true,
+  matcher,
+  redact = (line) => line,
+} = {}) {
+  // The phase whose log group is open, if any
+  let phase;
+
+  return { print, end };
+
+  function print(message) {
+    // CloudWatchLogs have line endings.
+    // I trim and then log each line
+    // to ensure that the line ending is OS specific.
+    // Secrets are masked before anything else sees the line.
+    const line = redact(message.trimEnd());
+
+    const entering = phaseGroups && line.match(ENTERING_PHASE);
+    if (entering) {
+      end();
+      phase = entering[1];
+      core.startGroup(phase);
+    }
+
+    const complete = line.match(PHASE_COMPLETE);
+    const failed = complete && complete[2] !== "SUCCEEDED";
+    if (failed) {
+      // The phase output is in its group already,
+      // close it so the failure is visible without expanding anything.
+      end();
+      console.log(line);
+      core.error(`Phase ${complete[1]} ${complete[2]}`);
+    } else {
+      console.log(line);
+      if (complete) end();
+    }
+    if (matcher) matcher.match(line);
+  }
+
+  function end() {
+    if (phase) {
+      core.endGroup();
+      phase = undefined;
+    }
+  }
+}
@@ -0,0 +1,311 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+
+module.exports = {
+  logTailer,
+  logPage,
+  unseenEvents,
+};
+
+/* Follow a CloudWatch Logs stream independent of the build status polling.
+ * Every available page is printed right away,
+ * only an idle stream is polled less and less often, up to maxIdle.
+ * With liveTail, CloudWatch Logs pushes the events instead once the
+ * tailer has caught up, and polling only drains the log after the build ended.
+ */
+function logTailer(
+  cloudWatchLogs,
+  { printer, minIdle, maxIdle, liveTail = false }
+) {
+  let tailing;
+  let following;
+  let found = false;
+  let ended = false;
+  let stopped = false;
+  let failure;
+  let wake = () => {};
+  // The Live Tail session, if one is open
+  let live;
+
+  return { follow, check, drain, stop };
+
+  // Start tailing once the build knows its log stream
+  function follow({ logGroupName, logStreamName, logGroupArn }) {
+    if (tailing || !logGroupName) return;
+    following = { logGroupName, logStreamName };
+    tailing = tail(following, logGroupArn).catch((err) => {
+      failure = err;
+    });
+  }
+
+  // Throws any error the tailer ran into
+  function check() {
+    if (failure) throw failure;
+  }
+
+  // The build has ended, wait until the rest of the log is printed
+  async function drain() {
+    ended = true;
+    wake();
+    await tailing;
+    check();
+
+    if (!following) {
+      core.warning(
+        "The build never reported a CloudWatch Logs stream, so its log is not shown."
+      );
+    } else if (!found) {
+      core.warning(
+        `The CloudWatch Logs stream ${following.logGroupName}/${following.logStreamName} never appeared, so the build log is not shown.`
+      );
+    }
+  }
+
+  // Give up on the log, e.g. because polling the status failed
+  function stop() {
+    stopped = true;
+    if (live) live.close();
+    wake();
+  }
+
+  async function tail(stream, logGroupArn) {
+    // Polled pages overlap, and Live Tail may skip events polling has to print
+    const unseen = unseenEvents();
+    const pushed = pushedEvents();
+    const printAll = (events) =>
+      events.forEach(({ message }) => printer.print(message));
+    const print = {
+      polled: (events) => printAll(pushed.unprinted(unseen(events))),
+      pushed: (events) => printAll(pushed.add(events.filter(unseen.pending))),
+    };
+    // Started before polling catches up, so no event falls in between
+    live =
+      liveTail &&
+      logGroupArn &&
+      liveTailSession(cloudWatchLogs, { ...stream, logGroupArn });
+    try {
+      await poll(stream, print);
+    } finally {
+      // An open session keeps the runner busy until it times out
+      if (live) await live.close();
+      live = undefined;
+    }
+  }
+
+  async function poll(stream, print) {
+    let nextToken;
+    let idle = minIdle;
+    let seqEmptyLogs = 0;
+
+    while (!stopped) {
+      const afterEnd = ended;
+      const {
+        events,
+        nextForwardToken,
+        missing,
+      } = await logPage(cloudWatchLogs, { ...stream, nextToken });
+      if (!missing) found = true;
+      nextToken = nextForwardToken;
+
+      // stdout the CloudWatchLog (everyone likes progress...)
+      print.polled(events);
+
+      // There may be more, ask again right away
+      if (events.length) {
+        seqEmptyLogs = 0;
+        idle = minIdle;
+        continue;
+      }
+
+      // GetLogEvents can return partial/empty responses even when there is data.
+      // Only two consecutive empty responses, both asked for after the build ended,
+      // are the end of the log.
+      if (afterEnd) seqEmptyLogs++;
+      if (seqEmptyLogs >= 2) return;
+
+      // Caught up, Live Tail takes it from here until the build ends
+      // (or the session does, then polling takes over again).
+      if (live) {
+        if (!ended) {
+          live.attach(print.pushed);
+          await Promise.race([live.closed, sleep()]);
+        }
+        await live.close();
+        live = undefined;
+        continue;
+      }
+
+      await sleep(ended ? minIdle : idle);
+      idle = Math.min(idle * 2, maxIdle);
+    }
+  }
+
+  // Without ms, only waking up ends the sleep
+  function sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = ms === undefined ? undefined : setTimeout(resolve, ms);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
+/* Stream the events of a log stream with StartLiveTail.
+ * Events are buffered until attach, from then on they go straight to print.
+ * Any failure, e.g. IAM denying StartLiveTail or the session timing out,
+ * just ends the session: the tailer falls back to polling.
+ */
+function liveTailSession(
+  cloudWatchLogs,
+  { logGroupArn, logGroupName, logStreamName }
+) {
+  const abort = new AbortController();
+  let buffer = [];
+  let onEvents = (events) => buffer.push(...events);
+
+  const closed = (async () => {
+    try {
+      const { responseStream } = await cloudWatchLogs.startLiveTail(
+        { logGroupIdentifiers: [logGroupArn], logStreamNames: [logStreamName] },
+        { abortSignal: abort.signal }
+      );
+      for await (const { sessionUpdate } of responseStream) {
+        if (sessionUpdate) onEvents(sessionUpdate.sessionResults || []);
+      }
+    } catch (err) {
+      if (abort.signal.aborted) return;
+      if (err.name === "AccessDeniedException") {
+        core.warning(
+          `Live Tail of ${logGroupName} is not allowed, polling the build log instead. Allow logs:StartLiveTail to stream it live.`
+        );
+      } else {
+        core.info(
+          `Live Tail ended (${
+            err.name || err.message
+          }), polling the build log instead.`
+        );
+      }
+    }
+  })();
+
+  return { closed, attach, close };
+
+  function attach(print) {
+    print(buffer);
+    buffer = [];
+    onEvents = print;
+  }
+
+  function close() {
+    abort.abort();
+    return closed;
+  }
+}
+
+/* One page of a log stream, from the head.
+ * The log group and stream are only created once the build starts running,
+ * until then they are reported as `missing` rather than failing.
+ */
+async function logPage(
+  cloudWatchLogs,
+  { logGroupName, logStreamName, nextToken }
+) {
+  try {
+    const { events = [], nextForwardToken } = await cloudWatchLogs.getLogEvents(
+      {
+        logGroupName,
+        logStreamName,
+        startFromHead: true,
+        nextToken,
+      }
+    );
+    return { events, nextForwardToken };
+  } catch (err) {
+    if (err.name !== "ResourceNotFoundException") throw err;
+    return { events: [], nextForwardToken: nextToken, missing: true };
+  }
+}
+
+/* CloudWatch Logs can return overlapping pages.
+ * Events come in timestamp and ingestion order,
+ * so anything before the last printed event has been printed already.
+ * Several events can share a position (e.g. the same line printed twice),
+ * so count how many were printed there too.
+ */
+function unseenEvents() {
+  let last = {
+    timestamp: -Infinity,
+    ingestionTime: -Infinity,
+    count: 0,
+    messages: [],
+  };
+
+  const unseen = (events) => {
+    // How many events at the last position earlier pages printed
+    let printed = last.count;
+    return events.filter(({ timestamp, ingestionTime = 0, message }) => {
+      if (timestamp === undefined) return true;
+      const order =
+        timestamp - last.timestamp || ingestionTime - last.ingestionTime;
+      if (order < 0) return false;
+      if (order > 0) {
+        last = { timestamp, ingestionTime, count: 0, messages: [] };
+        printed = 0;
+      }
+      if (printed > 0) {
+        printed--;
+        return false;
+      }
+      last.count++;
+      last.messages.push(message);
+      return true;
+    });
+  };
+
+  // Whether an event comes after the printed ones, without printing it
+  unseen.pending = ({ timestamp, ingestionTime = 0, message }) => {
+    if (timestamp === undefined) return true;
+    const order =
+      timestamp - last.timestamp || ingestionTime - last.ingestionTime;
+    return order > 0 || (order === 0 && !last.messages.includes(message));
+  };
+
+  return unseen;
+}
+
+/* Live Tail samples busy streams (above about 500 events per second),
+ * so the events it pushed are no sign that the ones before them were printed.
+ * Polling later skips exactly the pushed events and prints the rest.
+ */
+function pushedEvents() {
+  // How often every event was printed, by position and message
+  const printed = new Map();
+  const key = ({ timestamp, ingestionTime, message }) =>
+    JSON.stringify([timestamp, ingestionTime, message]);
+
+  return { add, unprinted };
+
+  function add(events) {
+    events.forEach((event) =>
+      printed.set(key(event), (printed.get(key(event)) || 0) + 1)
+    );
+    return events;
+  }
+
+  function unprinted(events) {
+    return events.filter((event) => {
+      const count = printed.get(key(event));
+      if (!count) return true;
+      if (count === 1) {
+        printed.delete(key(event));
+      } else {
+        printed.set(key(event), count - 1);
+      }
+      return false;
+    });
+  }
+}
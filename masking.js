@@ -0,0 +1,65 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+
+module.exports = {
+  maskEnvVars,
+  loadMaskPatterns,
+  logRedactor,
+};
+
+// Well known credential formats, anything else is a regular expression
+const BUILT_IN_PATTERNS = {
+  "aws-access-key-id": "\\b(?:AKIA|ASIA)[A-Z0-9]{16}\\b",
+  "github-token": "\\bgh[pousr]_[A-Za-z0-9]{36,}\\b",
+};
+
+// Masking a short value like "1" or "dev" would garble every log line
+const MIN_SECRET_LENGTH = 4;
+
+/* Register the values passed on to CodeBuild as secrets,
+ * so the runner masks them wherever they show up.
+ * mask is true for every variable, false for none,
+ * or the names (and NAME_* patterns) of the variables to mask.
+ * Only plain text values are the values themselves,
+ * the GitHub variables are not secret.
+ * Returns the masked values.
+ */
+function maskEnvVars(vars = [], mask = true) {
+  if (!mask) return [];
+  const names =
+    mask === true
+      ? []
+      : mask.map((name) => new RegExp(`^${name.replace(/\*/g, "\\w*")}$`));
+
+  const secrets = vars
+    .filter(
+      ({ name, value, type }) =>
+        type === "PLAINTEXT" &&
+        !name.startsWith("GITHUB_") &&
+        value.length >= MIN_SECRET_LENGTH &&
+        (mask === true || names.some((pattern) => pattern.test(name)))
+    )
+    .map(({ value }) => value);
+  secrets.forEach((secret) => core.setSecret(secret));
+  return secrets;
+}
+
+function loadMaskPatterns(names = []) {
+  return names.map((name) => new RegExp(BUILT_IN_PATTERNS[name] || name, "g"));
+}
+
+/* Masks the secrets and everything the patterns match in a log line,
+ * before it is printed or matched for problems.
+ */
+function logRedactor({ secrets = [], patterns = [] } = {}) {
+  // The longest first, in case one secret contains another
+  const values = [...new Set(secrets)].sort((a, b) => b.length - a.length);
+
+  return (line) =>
+    patterns.reduce(
+      (masked, pattern) => masked.replace(pattern, "***"),
+      values.reduce((masked, value) => masked.split(value).join("***"), line)
+    );
+}
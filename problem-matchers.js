@@ -0,0 +1,227 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+
+module.exports = {
+  loadProblemMatchers,
+  problemMatcher,
+  annotationBudget,
+};
+
+// The same format as GitHub problem matchers, see
+// https://github.com/actions/toolkit/blob/main/docs/problem-matchers.md
+const BUILT_IN_MATCHERS = {
+  tsc: {
+    owner: "tsc",
+    pattern: [
+      {
+        regexp:
+          "^([^\\s].*)[\\(:](\\d+)[,:](\\d+)(?:\\):\\s+|\\s+-\\s+)(error|warning|info)\\s+(TS\\d+)\\s*:\\s*(.*)$",
+        file: 1,
+        line: 2,
+        column: 3,
+        severity: 4,
+        code: 5,
+        message: 6,
+      },
+    ],
+  },
+  eslint: {
+    owner: "eslint",
+    pattern: [
+      {
+        regexp: "^([^\\s\\[].*\\.\\w+)$",
+        file: 1,
+      },
+      {
+        regexp:
+          "^\\s+(\\d+):(\\d+)\\s+(error|warning|info)\\s+(.*?)(?:\\s\\s+(\\S+))?$",
+        line: 1,
+        column: 2,
+        severity: 3,
+        message: 4,
+        code: 5,
+        loop: true,
+      },
+    ],
+  },
+  gcc: {
+    owner: "gcc",
+    pattern: [
+      {
+        regexp:
+          "^(.*):(\\d+):(\\d+):\\s+(?:fatal\\s+)?(warning|error):\\s+(.*)$",
+        file: 1,
+        line: 2,
+        column: 3,
+        severity: 4,
+        message: 5,
+      },
+    ],
+  },
+  javac: {
+    owner: "javac",
+    pattern: [
+      {
+        regexp:
+          "^(?:\\[\\w+\\]\\s+)?(.*\\.java):\\[?(\\d+)(?:,(\\d+)\\])?:?\\s+(error|warning):\\s+(.*)$",
+        file: 1,
+        line: 2,
+        column: 3,
+        severity: 4,
+        message: 5,
+      },
+    ],
+  },
+};
+
+function loadProblemMatchers(names = []) {
+  return names
+    .map((name) => {
+      if (BUILT_IN_MATCHERS[name]) return [BUILT_IN_MATCHERS[name]];
+
+      // Anything else is a problem matcher file in the workspace
+      const file = path.resolve(process.env.GITHUB_WORKSPACE || "", name);
+      assert(
+        fs.existsSync(file),
+        `Unknown problem matcher ${name}. Use one of ${Object.keys(
+          BUILT_IN_MATCHERS
+        ).join(", ")} or the path to a problem matcher file.`
+      );
+      const { problemMatcher = [] } = JSON.parse(fs.readFileSync(file, "utf8"));
+      return problemMatcher;
+    })
+    .reduce((all, matchers) => all.concat(matchers), [])
+    .map(({ owner, severity, pattern = [] }) => {
+      assert(
+        pattern.length && pattern.every(({ regexp }) => regexp),
+        `Problem matcher ${owner} needs at least one pattern with a regexp.`
+      );
+      return {
+        owner,
+        severity,
+        pattern: pattern.map((p) => ({ ...p, regexp: new RegExp(p.regexp) })),
+      };
+    });
+}
+
+/* Matchers that share a budget (e.g. the builds of a batch)
+ * share one maxAnnotations.
+ */
+function problemMatcher(
+  matchers = [],
+  { maxAnnotations = 50, budget = annotationBudget(maxAnnotations) } = {}
+) {
+  // Where CodeBuild checked out the source, e.g.
+  // /codebuild/output/src123456789/src/github.com/owner/repo
+  let srcDir;
+
+  // How far every multi-line matcher got, and what it has captured so far
+  const state = matchers.map(() => ({ index: 0, captured: {} }));
+
+  return { match };
+
+  function match(line) {
+    const src = line.match(/CODEBUILD_SRC_DIR=(\S+)/);
+    if (src) srcDir = src[1];
+
+    matchers.forEach((matcher, i) => {
+      const problem = matchLine(matcher, state[i], line);
+      if (problem) annotate(matcher, problem);
+    });
+  }
+
+  function annotate({ owner, severity }, problem) {
+    if (!problem.message || !budget.take()) return;
+
+    const properties = { title: problem.code || owner };
+    if (problem.file) properties.file = relativePath(problem.file);
+    if (problem.line) properties.startLine = parseInt(problem.line, 10);
+    if (problem.column) properties.startColumn = parseInt(problem.column, 10);
+
+    const level = (problem.severity || severity || "error").toLowerCase();
+    if (level.startsWith("warn")) {
+      core.warning(problem.message, properties);
+    } else if (level === "notice" || level === "info") {
+      core.notice(problem.message, properties);
+    } else {
+      core.error(problem.message, properties);
+    }
+  }
+
+  function relativePath(file) {
+    if (srcDir && file.startsWith(`${srcDir}/`)) {
+      return file.slice(srcDir.length + 1);
+    }
+    // CodeBuild checks out under the host, e.g. github.example.com on GitHub Enterprise Server
+    const host = new URL(
+      process.env.GITHUB_SERVER_URL || "https://github.com"
+    ).host.replace(/\./g, "\\.");
+    return file
+      .replace(
+        new RegExp(`^/codebuild/output/src\\d+/src/(${host}/[^/]+/[^/]+/)?`),
+        ""
+      )
+      .replace(/^\.\//, "");
+  }
+}
+
+// Counts the annotations, take() is false once there are maxAnnotations
+function annotationBudget(maxAnnotations = 50) {
+  let annotations = 0;
+
+  return { take };
+
+  function take() {
+    annotations++;
+    if (annotations === maxAnnotations + 1) {
+      core.warning(
+        `More than ${maxAnnotations} problems found in the build log, no more will be annotated.`
+      );
+    }
+    return annotations <= maxAnnotations;
+  }
+}
+
+function matchLine({ pattern }, state, line) {
+  const current = pattern[state.index];
+  const found = line.match(current.regexp);
+
+  if (!found) {
+    // A broken sequence starts over, the line may begin a new one.
+    if (state.index > 0) {
+      state.index = 0;
+      state.captured = {};
+      return matchLine({ pattern }, state, line);
+    }
+    return undefined;
+  }
+
+  const captured = { ...state.captured, ...capture(current, found) };
+  if (state.index < pattern.length - 1) {
+    state.index++;
+    state.captured = captured;
+    return undefined;
+  }
+
+  // A looping last pattern keeps what the earlier patterns captured
+  // (e.g. the file name) for every line it matches.
+  if (!current.loop) {
+    state.index = 0;
+    state.captured = {};
+  }
+  return captured;
+}
+
+function capture(pattern, found) {
+  return ["file", "line", "column", "severity", "code", "message"]
+    .filter((key) => pattern[key] && found[pattern[key]] !== undefined)
+    .reduce(
+      (captured, key) => ({ ...captured, [key]: found[pattern[key]] }),
+      {}
+    );
+}
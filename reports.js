@@ -0,0 +1,74 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const assert = require("assert");
+
+module.exports = {
+  fetchReports,
+  annotateFailedTests,
+  assertCoverage,
+};
+
+async function fetchReports(sdk, { reportArns = [] }) {
+  if (!reportArns.length) return [];
+
+  const { reports = [] } = await sdk.codeBuild.batchGetReports({
+    reportArns,
+  });
+
+  // Only the failed test cases are interesting,
+  // the summary already has the counts.
+  return Promise.all(
+    reports.map(async (report) =>
+      report.type === "TEST"
+        ? {
+            ...report,
+            failedTestCases: [
+              ...(await describeTestCases(sdk, report.arn, "FAILED")),
+              ...(await describeTestCases(sdk, report.arn, "ERROR")),
+            ],
+          }
+        : report
+    )
+  );
+}
+
+async function describeTestCases(sdk, reportArn, status, nextToken) {
+  const {
+    testCases = [],
+    nextToken: next,
+  } = await sdk.codeBuild.describeTestCases({
+    reportArn,
+    filter: { status },
+    nextToken,
+  });
+
+  return next
+    ? [...testCases, ...(await describeTestCases(sdk, reportArn, status, next))]
+    : testCases;
+}
+
+function annotateFailedTests(reports) {
+  reports.forEach(({ name: reportName, failedTestCases = [] }) =>
+    failedTestCases.forEach(({ prefix, name, status, message }) =>
+      core.error(message || `Test ${status}`, {
+        title: `${reportName}: ${[prefix, name].filter((i) => i).join(" ")}`,
+      })
+    )
+  );
+}
+
+function assertCoverage(reports, coverageThreshold) {
+  if (coverageThreshold === undefined) return;
+
+  reports
+    .filter(({ type }) => type === "CODE_COVERAGE")
+    .forEach(({ name, codeCoverageSummary = {} }) => {
+      const { lineCoveragePercentage = 0 } = codeCoverageSummary;
+      assert(
+        lineCoveragePercentage >= coverageThreshold,
+        `Line coverage of ${name} is ${lineCoveragePercentage}%, below the threshold of ${coverageThreshold}%`
+      );
+    });
+}
@@ -0,0 +1,55 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+const zlib = require("zlib");
+
+module.exports = {
+  s3LogLocation,
+  readS3Log,
+};
+
+// CodeBuild reports the log object as arn:aws:s3:::bucket/path/to/build-id.gz
+function s3LogLocation(Arn) {
+  if (!Arn) return undefined;
+  const [Bucket, ...key] = Arn.split(":::").pop().split("/");
+  if (!Bucket || !key.length) return undefined;
+  return { Bucket, Key: key.join("/") };
+}
+
+/* The log lines of a build that only logs to S3.
+ * CodeBuild uploads the log when the build completes,
+ * so give the object a few chances to appear.
+ */
+async function readS3Log(
+  s3,
+  { Bucket, Key },
+  { attempts = 5, interval = 1000 } = {}
+) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { Body } = await s3.getObject({ Bucket, Key });
+      const lines = unzip(Buffer.from(await Body.transformToByteArray())).split(
+        "\n"
+      );
+      // Drop what follows the last line ending
+      if (!lines[lines.length - 1]) lines.pop();
+      return lines;
+    } catch (err) {
+      if (err.name !== "NoSuchKey") throw err;
+      if (attempt >= attempts) {
+        core.warning(
+          `The build log s3://${Bucket}/${Key} never appeared, so it is not shown.`
+        );
+        return [];
+      }
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+  }
+}
+
+// Logs are gzip-compressed unless the project disabled it
+function unzip(buffer) {
+  const gzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (gzip ? zlib.gunzipSync(buffer) : buffer).toString("utf8");
+}
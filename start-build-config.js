@@ -0,0 +1,233 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const github = require("@actions/github");
+const fs = require("fs");
+const path = require("path");
+const assert = require("assert");
+const YAML = require("yaml");
+
+module.exports = {
+  loadStartBuildConfig,
+  mergeStartBuildConfig,
+};
+
+// The shapes of the StartBuild request, see
+// https://docs.aws.amazon.com/codebuild/latest/APIReference/API_StartBuild.html
+const sourceAuth = { type: "string", resource: "string" };
+const gitSubmodulesConfig = { fetchSubmodules: "boolean" };
+const buildStatusConfig = { context: "string", targetUrl: "string" };
+const projectSource = {
+  type: "string",
+  location: "string",
+  gitCloneDepth: "integer",
+  gitSubmodulesConfig,
+  buildspec: "string",
+  auth: sourceAuth,
+  reportBuildStatus: "boolean",
+  buildStatusConfig,
+  insecureSsl: "boolean",
+  sourceIdentifier: "string",
+};
+const projectArtifacts = {
+  type: "string",
+  location: "string",
+  path: "string",
+  namespaceType: "string",
+  name: "string",
+  packaging: "string",
+  overrideArtifactName: "boolean",
+  encryptionDisabled: "boolean",
+  artifactIdentifier: "string",
+  bucketOwnerAccess: "string",
+};
+const START_BUILD = {
+  projectName: "string",
+  secondarySourcesOverride: [projectSource],
+  secondarySourcesVersionOverride: [
+    { sourceIdentifier: "string", sourceVersion: "string" },
+  ],
+  sourceVersion: "string",
+  artifactsOverride: projectArtifacts,
+  secondaryArtifactsOverride: [projectArtifacts],
+  environmentVariablesOverride: [
+    { name: "string", value: "string", type: "string" },
+  ],
+  sourceTypeOverride: "string",
+  sourceLocationOverride: "string",
+  sourceAuthOverride: sourceAuth,
+  gitCloneDepthOverride: "integer",
+  gitSubmodulesConfigOverride: gitSubmodulesConfig,
+  buildspecOverride: "string",
+  insecureSslOverride: "boolean",
+  reportBuildStatusOverride: "boolean",
+  buildStatusConfigOverride: buildStatusConfig,
+  environmentTypeOverride: "string",
+  imageOverride: "string",
+  computeTypeOverride: "string",
+  certificateOverride: "string",
+  cacheOverride: { type: "string", location: "string", modes: ["string"] },
+  serviceRoleOverride: "string",
+  privilegedModeOverride: "boolean",
+  timeoutInMinutesOverride: "integer",
+  queuedTimeoutInMinutesOverride: "integer",
+  encryptionKeyOverride: "string",
+  idempotencyToken: "string",
+  logsConfigOverride: {
+    cloudWatchLogs: {
+      status: "string",
+      groupName: "string",
+      streamName: "string",
+    },
+    s3Logs: {
+      status: "string",
+      location: "string",
+      encryptionDisabled: "boolean",
+      bucketOwnerAccess: "string",
+    },
+  },
+  registryCredentialOverride: {
+    credential: "string",
+    credentialProvider: "string",
+  },
+  imagePullCredentialsTypeOverride: "string",
+  debugSessionEnabled: "boolean",
+  fleetOverride: { fleetArn: "string" },
+};
+
+// List items with one of these are merged by it, other lists are replaced
+const IDENTITY_KEYS = ["name", "sourceIdentifier", "artifactIdentifier"];
+
+/* Parse the start-build-config input:
+ * the path of a JSON or YAML file in the workspace, or the config inline.
+ * ${{ github.* }} and ${{ env.* }} expressions in its values are interpolated,
+ * and the result is validated before anything is sent to CodeBuild.
+ */
+function loadStartBuildConfig(value) {
+  if (!value) return undefined;
+
+  const file = path.resolve(process.env.GITHUB_WORKSPACE || "", value);
+  const source =
+    !value.includes("\n") && fs.existsSync(file)
+      ? fs.readFileSync(file, "utf8")
+      : value;
+
+  // JSON is YAML too
+  let config;
+  try {
+    config = YAML.parse(source);
+  } catch (err) {
+    throw new Error(`start-build-config is not valid JSON or YAML: ${err}`);
+  }
+  assert(
+    isMapping(config),
+    "start-build-config must be a mapping of StartBuild fields, or the path to a file with one."
+  );
+
+  config = interpolate(config, "start-build-config");
+  validate(config, START_BUILD, "start-build-config");
+  return config;
+}
+
+// The config wins over the computed parameters
+function mergeStartBuildConfig(params, config) {
+  if (config === undefined) return params;
+  if (Array.isArray(params) && Array.isArray(config)) {
+    return mergeLists(params, config);
+  }
+  if (isMapping(params) && isMapping(config)) {
+    return Object.entries(config).reduce(
+      (merged, [key, value]) => ({
+        ...merged,
+        [key]: mergeStartBuildConfig(params[key], value),
+      }),
+      params
+    );
+  }
+  return config;
+}
+
+function mergeLists(params, config) {
+  const key = IDENTITY_KEYS.find((key) =>
+    [...params, ...config].every((item) => isMapping(item) && key in item)
+  );
+  if (!key) return config;
+
+  const merged = params.map((item) => {
+    const override = config.find((other) => other[key] === item[key]);
+    return override ? mergeStartBuildConfig(item, override) : item;
+  });
+  const added = config.filter(
+    (item) => !params.some((other) => other[key] === item[key])
+  );
+  return [...merged, ...added];
+}
+
+function interpolate(value, at) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{\{\s*([^}]*?)\s*\}\}/g, (_, expression) =>
+      evaluate(expression, at)
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolate(item, `${at}[${i}]`));
+  }
+  if (isMapping(value)) {
+    return Object.entries(value).reduce(
+      (all, [key, item]) => ({
+        ...all,
+        [key]: interpolate(item, `${at}.${key}`),
+      }),
+      {}
+    );
+  }
+  return value;
+}
+
+/* Only plain context lookups are supported,
+ * github.<name> is the GITHUB_<NAME> environment variable (e.g. github.sha, github.run_id),
+ * github.event.<path> reads the event payload and env.<NAME> any environment variable.
+ */
+function evaluate(expression, at) {
+  const [scope, ...names] = expression.split(".");
+  let found;
+  if (scope === "env" && names.length === 1) {
+    found = process.env[names[0]];
+  } else if (scope === "github" && names[0] === "event") {
+    found = names
+      .slice(1)
+      .reduce((value, name) => (value || {})[name], github.context.payload);
+  } else if (scope === "github" && names.length === 1) {
+    found = process.env[`GITHUB_${names[0].toUpperCase()}`];
+  }
+  assert(
+    found !== undefined && typeof found !== "object",
+    `${at}: unknown expression \${{ ${expression} }}`
+  );
+  return String(found);
+}
+
+function validate(value, type, at) {
+  if (Array.isArray(type)) {
+    assert(Array.isArray(value), `${at} must be a list`);
+    return value.forEach((item, i) => validate(item, type[0], `${at}[${i}]`));
+  }
+  if (isMapping(type)) {
+    assert(isMapping(value), `${at} must be a mapping`);
+    return Object.entries(value).forEach(([key, item]) => {
+      assert(
+        Object.prototype.hasOwnProperty.call(type, key),
+        `${at}.${key} is not a StartBuild field`
+      );
+      validate(item, type[key], `${at}.${key}`);
+    });
+  }
+  if (type === "integer") {
+    return assert(Number.isInteger(value), `${at} must be an integer`);
+  }
+  assert(typeof value === type, `${at} must be a ${type}`);
+}
+
+function isMapping(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
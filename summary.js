@@ -0,0 +1,165 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const core = require("@actions/core");
+
+module.exports = {
+  buildSummary,
+  reportsSummary,
+  consoleLink,
+  formatDuration,
+};
+
+function buildSummary(build, summary = core.summary) {
+  const {
+    id,
+    projectName,
+    phases = [],
+    logs = {},
+    environment = {},
+    resolvedSourceVersion,
+  } = build;
+  const status = build.buildStatus || build.buildBatchStatus;
+  const number = build.buildNumber || build.buildBatchNumber;
+
+  // The QUEUED phase is how long the build waited for compute.
+  const queued = phases.find(({ phaseType }) => phaseType === "QUEUED");
+
+  summary
+    .addHeading(`CodeBuild ${projectName} #${number}: ${status}`, 2)
+    .addTable([
+      [
+        { data: "Build", header: true },
+        { data: "Status", header: true },
+        { data: "Queued", header: true },
+        { data: "Commit", header: true },
+        { data: "Compute type", header: true },
+        { data: "Image", header: true },
+      ],
+      [
+        link(id, consoleLink(build)),
+        escape(status),
+        formatDuration(queued && queued.durationInSeconds),
+        escape(resolvedSourceVersion || "-"),
+        escape(environment.computeType || "-"),
+        escape(environment.image || "-"),
+      ],
+    ]);
+
+  if (phases.length) {
+    summary.addHeading("Phases", 3).addTable([
+      [
+        { data: "Phase", header: true },
+        { data: "Status", header: true },
+        { data: "Started", header: true },
+        { data: "Duration", header: true },
+        { data: "Details", header: true },
+      ],
+      ...phases.map(
+        ({
+          phaseType,
+          phaseStatus,
+          startTime,
+          durationInSeconds,
+          contexts = [],
+        }) => [
+          escape(phaseType),
+          escape(phaseStatus || "IN_PROGRESS"),
+          startTime ? new Date(startTime).toISOString() : "-",
+          formatDuration(durationInSeconds),
+          contexts
+            .map(({ message }) => message)
+            .filter((message) => message)
+            .map(escape)
+            .join("<br>") || "-",
+        ]
+      ),
+    ]);
+  }
+
+  if (logs.deepLink) {
+    summary.addLink("View the build log in CloudWatch", logs.deepLink);
+  }
+
+  return summary;
+}
+
+function reportsSummary(reports, summary = core.summary) {
+  const tests = reports.filter(({ type }) => type === "TEST");
+  const coverage = reports.filter(({ type }) => type === "CODE_COVERAGE");
+
+  if (tests.length) {
+    summary.addHeading("Test reports", 3).addTable([
+      [
+        { data: "Report", header: true },
+        { data: "Status", header: true },
+        { data: "Passed", header: true },
+        { data: "Failed", header: true },
+        { data: "Skipped", header: true },
+        { data: "Total", header: true },
+      ],
+      ...tests.map(({ name, status, testSummary = {} }) => {
+        const { total = 0, statusCounts = {} } = testSummary;
+        const count = (...keys) =>
+          `${keys.reduce((sum, key) => sum + (statusCounts[key] || 0), 0)}`;
+        return [
+          escape(name),
+          escape(status),
+          count("SUCCEEDED"),
+          count("FAILED", "ERROR"),
+          count("SKIPPED"),
+          `${total}`,
+        ];
+      }),
+    ]);
+  }
+
+  if (coverage.length) {
+    summary.addHeading("Code coverage", 3).addTable([
+      [
+        { data: "Report", header: true },
+        { data: "Line coverage", header: true },
+        { data: "Branch coverage", header: true },
+      ],
+      ...coverage.map(({ name, codeCoverageSummary = {} }) => [
+        escape(name),
+        formatPercentage(codeCoverageSummary.lineCoveragePercentage),
+        formatPercentage(codeCoverageSummary.branchCoveragePercentage),
+      ]),
+    ]);
+  }
+
+  return summary;
+}
+
+function consoleLink({ arn, id, projectName, buildBatchStatus }) {
+  // arn:aws:codebuild:region:account:build/project:uuid
+  const [, , , region, account] = (arn || "").split(":");
+  if (!region || !account) return undefined;
+  const kind = buildBatchStatus ? "batch" : "build";
+  return `https://${region}.console.aws.amazon.com/codesuite/codebuild/${account}/projects/${projectName}/${kind}/${encodeURIComponent(
+    id
+  )}/?region=${region}`;
+}
+
+function formatDuration(seconds) {
+  if (seconds === undefined) return "-";
+  const minutes = Math.floor(seconds / 60);
+  return minutes ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatPercentage(percentage) {
+  return percentage === undefined ? "-" : `${percentage.toFixed(2)}%`;
+}
+
+function link(text, href) {
+  return href ? `<a href="${href}">${escape(text)}</a>` : escape(text);
+}
+
+// The summary is HTML, and CodeBuild messages can contain anything.
+function escape(text) {
+  return `${text}`
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -0,0 +1,194 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const {
+  withRetries,
+  retryableError,
+  throttlingError,
+  apiBudget,
+} = require("../api-retry");
+const { expect } = require("chai");
+
+describe("retryableError", () => {
+  it("retries throttling, server and network errors", () => {
+    expect(retryableError({ name: "ThrottlingException" })).to.equal(true);
+    expect(retryableError({ message: "Rate exceeded" })).to.equal(true);
+    expect(
+      retryableError({ name: "Unknown", $metadata: { httpStatusCode: 503 } })
+    ).to.equal(true);
+    expect(retryableError({ code: "ECONNRESET" })).to.equal(true);
+  });
+
+  it("does not retry client errors", () => {
+    expect(
+      retryableError({
+        name: "AccessDeniedException",
+        $metadata: { httpStatusCode: 400 },
+      })
+    ).to.equal(false);
+    expect(retryableError({ message: "Some AWS error" })).to.equal(false);
+    expect(retryableError(undefined)).to.equal(false);
+  });
+});
+
+describe("throttlingError", () => {
+  it("only recognizes throttling", () => {
+    expect(throttlingError({ name: "ThrottlingException" })).to.equal(true);
+    expect(throttlingError({ message: "Rate exceeded" })).to.equal(true);
+    expect(
+      throttlingError({ name: "Unknown", $metadata: { httpStatusCode: 429 } })
+    ).to.equal(true);
+    expect(
+      throttlingError({ name: "Unknown", $metadata: { httpStatusCode: 503 } })
+    ).to.equal(false);
+    expect(throttlingError({ code: "ECONNRESET" })).to.equal(false);
+  });
+});
+
+describe("withRetries", () => {
+  it("retries a throttled call until it succeeds", async () => {
+    let count = 0;
+    const client = withRetries(
+      {
+        async batchGetBuilds() {
+          if (count++ < 2) throw { name: "ThrottlingException" };
+          return { builds: [] };
+        },
+      },
+      { updateBackOff: 1 }
+    );
+
+    const test = await client.batchGetBuilds({ ids: ["id"] });
+
+    expect(test).to.deep.equal({ builds: [] });
+    expect(count).to.equal(3);
+  });
+
+  it("throws errors that are not retryable right away", async () => {
+    let count = 0;
+    const client = withRetries(
+      {
+        async startBuild() {
+          count++;
+          throw { name: "ResourceNotFoundException" };
+        },
+      },
+      { updateBackOff: 1 }
+    );
+
+    let didFail = false;
+    try {
+      await client.startBuild({});
+    } catch (err) {
+      didFail = true;
+      expect(err.name).to.equal("ResourceNotFoundException");
+    }
+
+    expect(didFail).to.equal(true);
+    expect(count).to.equal(1);
+  });
+
+  it("gives up once the max retry time is spent", async () => {
+    let count = 0;
+    const client = withRetries(
+      {
+        async getLogEvents() {
+          count++;
+          throw { message: "Rate exceeded" };
+        },
+      },
+      { updateBackOff: 1, maxRetryTime: 20 }
+    );
+
+    let didFail = false;
+    try {
+      await client.getLogEvents({});
+    } catch (err) {
+      didFail = true;
+    }
+
+    expect(didFail).to.equal(true);
+    expect(count).to.be.greaterThan(1);
+  });
+
+  it("only retries throttling of non-idempotent calls without a token", async () => {
+    let count = 0;
+    const client = withRetries(
+      {
+        async startBuild() {
+          if (count++ === 0) throw { name: "ThrottlingException" };
+          throw { code: "ECONNRESET" };
+        },
+      },
+      { updateBackOff: 1, nonIdempotent: ["startBuild"] }
+    );
+
+    let didFail = false;
+    try {
+      await client.startBuild({});
+    } catch (err) {
+      didFail = true;
+      expect(err.code).to.equal("ECONNRESET");
+    }
+
+    expect(didFail).to.equal(true);
+    expect(count).to.equal(2);
+  });
+
+  it("retries non-idempotent calls with a token like any other", async () => {
+    let count = 0;
+    const client = withRetries(
+      {
+        async startBuild() {
+          if (count++ < 2) throw { code: "ECONNRESET" };
+          return { build: { id: "build" } };
+        },
+      },
+      { updateBackOff: 1, nonIdempotent: ["startBuild"] }
+    );
+
+    const test = await client.startBuild({ idempotencyToken: "token" });
+
+    expect(test.build.id).to.equal("build");
+    expect(count).to.equal(3);
+  });
+
+  it("passes anything but API calls through", () => {
+    const config = { region: "us-west-2" };
+    const client = withRetries({ config });
+    expect(client.config).to.equal(config);
+  });
+});
+
+describe("apiBudget", () => {
+  it("spaces out calls more after being throttled", async () => {
+    const budget = apiBudget({ minInterval: 5, maxInterval: 40 });
+    await budget.take();
+    budget.throttled();
+    budget.throttled();
+    await budget.take();
+
+    const start = Date.now();
+    await budget.take();
+    expect(Date.now() - start).to.be.at.least(15);
+  });
+
+  it("shares the spacing between clients", async () => {
+    const budget = apiBudget({ minInterval: 10 });
+    const calls = [];
+    const client = (name) =>
+      withRetries(
+        {
+          async call() {
+            calls.push([name, Date.now()]);
+          },
+        },
+        { budget }
+      );
+
+    await Promise.all([client("a").call(), client("b").call()]);
+
+    expect(calls.map(([name]) => name)).to.deep.equal(["a", "b"]);
+    expect(calls[1][1] - calls[0][1]).to.be.at.least(9);
+  });
+});
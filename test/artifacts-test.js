@@ -0,0 +1,157 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { downloadArtifacts } = require("../artifacts");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+describe("downloadArtifacts", () => {
+  const OLD_ENV = { ...process.env };
+  let workspace;
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), "artifacts-"));
+    process.env.GITHUB_WORKSPACE = workspace;
+  });
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  // A fake bucket of key => content
+  const s3 = (objects) => ({
+    async getObject({ Key }) {
+      if (!(Key in objects)) throw { name: "NoSuchKey" };
+      return { Body: Readable.from([Buffer.from(objects[Key])]) };
+    },
+    async listObjectsV2({ Prefix, ContinuationToken }) {
+      // One key per page
+      const keys = Object.keys(objects).filter((key) => key.startsWith(Prefix));
+      const at = ContinuationToken ? parseInt(ContinuationToken, 10) : 0;
+      return {
+        Contents: keys.slice(at, at + 1).map((Key) => ({ Key })),
+        NextContinuationToken:
+          at + 1 < keys.length ? String(at + 1) : undefined,
+      };
+    },
+  });
+
+  it("extracts zip packaged artifacts", async () => {
+    const extracted = [];
+    const sdk = {
+      s3: s3({ "pr/12/app.zip": "PK\u0003\u0004 the zip" }),
+    };
+
+    const test = await downloadArtifacts(
+      sdk,
+      { artifacts: { location: "arn:aws:s3:::my-bucket/pr/12/app.zip" } },
+      {
+        dir: "out",
+        extractZip: async (file, dest) => {
+          extracted.push([path.basename(file), dest]);
+          return dest;
+        },
+      }
+    );
+
+    const primary = path.join(workspace, "out", "primary");
+    expect(test).to.deep.equal({ primary });
+    expect(extracted).to.deep.equal([["app.zip", primary]]);
+  });
+
+  it("downloads single files and folders as they are", async () => {
+    const sdk = {
+      s3: s3({
+        "build/report.txt": "report",
+        "build/site/index.html": "<html>",
+        "build/site/css/main.css": "body {}",
+      }),
+    };
+
+    const test = await downloadArtifacts(
+      sdk,
+      {
+        artifacts: { location: "arn:aws:s3:::my-bucket/build/report.txt" },
+        secondaryArtifacts: [
+          {
+            artifactIdentifier: "site",
+            location: "arn:aws:s3:::my-bucket/build/site",
+          },
+        ],
+      },
+      { dir: "out" }
+    );
+
+    const out = path.join(workspace, "out");
+    expect(test).to.deep.equal({
+      primary: path.join(out, "primary"),
+      site: path.join(out, "site"),
+    });
+    expect(
+      fs.readFileSync(path.join(out, "primary", "report.txt"), "utf8")
+    ).to.equal("report");
+    expect(
+      fs.readFileSync(path.join(out, "site", "index.html"), "utf8")
+    ).to.equal("<html>");
+    expect(
+      fs.readFileSync(path.join(out, "site", "css", "main.css"), "utf8")
+    ).to.equal("body {}");
+  });
+
+  it("never writes outside of the download folder", async () => {
+    const sdk = {
+      s3: s3({
+        "build/site/index.html": "<html>",
+        "build/site/../../../escaped.txt": "boom",
+      }),
+    };
+
+    let didFail = false;
+    try {
+      await downloadArtifacts(
+        sdk,
+        { artifacts: { location: "arn:aws:s3:::my-bucket/build/site" } },
+        { dir: "out" }
+      );
+    } catch (err) {
+      didFail = true;
+      expect(err.message).to.equal(
+        "The build artifact s3://my-bucket/build/site/../../../escaped.txt is outside of its folder, it is not downloaded."
+      );
+    }
+
+    expect(didFail).to.equal(true);
+    expect(fs.existsSync(path.join(workspace, "..", "escaped.txt"))).to.equal(
+      false
+    );
+  });
+
+  it("skips artifacts that are not in S3", async () => {
+    const test = await downloadArtifacts(
+      { s3: s3({}) },
+      { artifacts: { location: "" }, secondaryArtifacts: [] },
+      { dir: "out" }
+    );
+    expect(test).to.deep.equal({});
+  });
+
+  it("fails for other S3 errors", async () => {
+    const sdk = {
+      s3: {
+        async getObject() {
+          throw { name: "AccessDenied" };
+        },
+      },
+    };
+    let error;
+    await downloadArtifacts(
+      sdk,
+      { artifacts: { location: "arn:aws:s3:::my-bucket/app.zip" } },
+      { dir: "out" }
+    ).catch((err) => {
+      error = err;
+    });
+    expect(error).to.deep.equal({ name: "AccessDenied" });
+  });
+});
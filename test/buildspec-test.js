@@ -0,0 +1,169 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { checkBuildspec, validateBuildspec } = require("../buildspec");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const BUILDSPEC = [
+  "version: 0.2",
+  "env:",
+  "  variables:",
+  "    STAGE: prod",
+  "phases:",
+  "  install:",
+  "    runtime-versions:",
+  "      nodejs: 18",
+  "  build:",
+  "    on-failure: ABORT",
+  "    commands:",
+  "      - npm ci",
+  '      - "echo done: $STAGE"',
+  "    finally:",
+  "      - echo cleanup",
+  "reports:",
+  "  unit:",
+  "    files:",
+  "      - junit.xml",
+  "    file-format: JUNITXML",
+  "artifacts:",
+  "  files:",
+  "    - dist/**/*",
+  "cache:",
+  "  paths:",
+  "    - node_modules/**/*",
+  "",
+].join("\n");
+
+describe("validateBuildspec", () => {
+  it("accepts a valid buildspec", () => {
+    expect(validateBuildspec(BUILDSPEC)).to.deep.equal([]);
+  });
+
+  it("reports YAML errors with their line", () => {
+    const test = validateBuildspec(
+      ["version: 0.2", "phases:", "  build:", "   - [npm ci"].join("\n")
+    );
+    expect(test).to.not.be.empty;
+    expect(test[0].line).to.be.a("number");
+  });
+
+  it("reports unknown keys at the key", () => {
+    const test = validateBuildspec(
+      [
+        "version: 0.2",
+        "phases:",
+        "  build:",
+        "    commands:",
+        "      - make",
+        "    post_build:",
+        "      commands:",
+        "        - make test",
+      ].join("\n")
+    );
+    expect(test).to.deep.equal([
+      {
+        message: "post_build is not a buildspec key of phases.build",
+        line: 6,
+        column: 5,
+      },
+    ]);
+  });
+
+  it("reports commands that YAML reads as a mapping", () => {
+    const test = validateBuildspec(
+      [
+        "version: 0.2",
+        "phases:",
+        "  build:",
+        "    commands:",
+        "      - echo a: b",
+      ].join("\n")
+    );
+    expect(test).to.have.lengthOf(1);
+    expect(test[0]).to.include({ line: 5, column: 9 });
+    expect(test[0].message).to.match(
+      /^phases\.build\.commands\[0\] must be a command/
+    );
+  });
+
+  it("reports a missing or wrong version", () => {
+    expect(validateBuildspec("phases: {}\n")).to.deep.equal([
+      { message: "The buildspec needs a version", line: 1, column: 1 },
+    ]);
+    expect(validateBuildspec("version: 1.0\n")).to.deep.equal([
+      { message: "version must be 0.1 or 0.2", line: 1, column: 1 },
+    ]);
+  });
+
+  it("reports sections of the wrong type", () => {
+    const test = validateBuildspec(
+      ["version: 0.2", "artifacts:", "  files: dist"].join("\n")
+    );
+    expect(test).to.deep.equal([
+      { message: "artifacts.files must be a list", line: 3, column: 3 },
+    ]);
+  });
+});
+
+describe("checkBuildspec", () => {
+  const OLD_ENV = { ...process.env };
+  let workspace;
+  beforeEach(() => {
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), "buildspec-"));
+    process.env.GITHUB_WORKSPACE = workspace;
+  });
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  it("leaves buildspecs it cannot see to CodeBuild", () => {
+    expect(checkBuildspec(undefined)).to.equal(undefined);
+    expect(checkBuildspec("buildspec.yml")).to.equal("buildspec.yml");
+    const arn = "arn:aws:s3:::my-bucket/buildspec.yml";
+    expect(checkBuildspec(arn)).to.equal(arn);
+  });
+
+  it("checks a workspace file and keeps its path", () => {
+    fs.writeFileSync(path.join(workspace, "buildspec.yml"), BUILDSPEC);
+    expect(checkBuildspec("buildspec.yml")).to.equal("buildspec.yml");
+  });
+
+  it("inlines a workspace file", () => {
+    fs.writeFileSync(path.join(workspace, "buildspec.yml"), BUILDSPEC);
+    expect(checkBuildspec("buildspec.yml", { inline: true })).to.equal(
+      BUILDSPEC
+    );
+  });
+
+  it("fails to inline a file that is not in the workspace", () => {
+    expect(() => checkBuildspec("missing.yml", { inline: true })).to.throw(
+      "Unable to inline the buildspec missing.yml, it is not in the workspace."
+    );
+  });
+
+  it("annotates the problems of a workspace file and fails", () => {
+    fs.writeFileSync(
+      path.join(workspace, "buildspec.yml"),
+      ["version: 0.2", "phase:", "  build: {}"].join("\n")
+    );
+
+    const written = [];
+    const write = process.stdout.write;
+    process.stdout.write = (line) =>
+      written.push(...line.split("\n").slice(0, -1));
+    try {
+      expect(() => checkBuildspec("buildspec.yml")).to.throw(
+        "The buildspec buildspec.yml is not valid, see the annotations."
+      );
+    } finally {
+      process.stdout.write = write;
+    }
+
+    expect(written).to.deep.equal([
+      "::error title=Invalid buildspec,file=buildspec.yml,line=2,col=1::phase is not a buildspec key",
+    ]);
+  });
+});
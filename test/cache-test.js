@@ -0,0 +1,95 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { cacheLocation, seedCache } = require("../cache");
+const { expect } = require("chai");
+
+describe("cacheLocation", () => {
+  it("puts the branch into the location", () => {
+    expect(cacheLocation("my-bucket/cache/{ref}", "feature/x")).to.equal(
+      "my-bucket/cache/feature/x"
+    );
+    expect(cacheLocation("my-bucket/cache", "main")).to.equal(
+      "my-bucket/cache"
+    );
+    expect(cacheLocation("", "main")).to.equal(undefined);
+  });
+
+  it("fails without a branch for {ref}", () => {
+    expect(() => cacheLocation("my-bucket/{ref}", undefined)).to.throw(
+      "The cache location my-bucket/{ref} needs a branch, but there is none."
+    );
+  });
+});
+
+describe("seedCache", () => {
+  // A fake bucket, listed one key per page
+  const bucket = (keys) => {
+    const copied = [];
+    const s3 = {
+      async listObjectsV2({ Prefix, MaxKeys, ContinuationToken }) {
+        const found = keys.filter((key) => key.startsWith(Prefix));
+        const at = ContinuationToken ? parseInt(ContinuationToken, 10) : 0;
+        const page = found.slice(at, at + (MaxKeys || 1));
+        return {
+          KeyCount: page.length,
+          Contents: page.map((Key) => ({ Key })),
+          NextContinuationToken:
+            at + 1 < found.length ? String(at + 1) : undefined,
+        };
+      },
+      async copyObject(params) {
+        copied.push(params);
+      },
+    };
+    return { s3, copied };
+  };
+
+  it("copies the default branch cache into a new branch cache", async () => {
+    const { s3, copied } = bucket([
+      "cache/main/a1b2.tgz",
+      "cache/main/c3 d4.tgz",
+      "cache/other/e5f6.tgz",
+    ]);
+
+    await seedCache(s3, "my-bucket/cache/feature", "my-bucket/cache/main");
+
+    expect(copied).to.deep.equal([
+      {
+        Bucket: "my-bucket",
+        Key: "cache/feature/a1b2.tgz",
+        CopySource: "my-bucket/cache/main/a1b2.tgz",
+      },
+      {
+        Bucket: "my-bucket",
+        Key: "cache/feature/c3 d4.tgz",
+        CopySource: "my-bucket/cache/main/c3%20d4.tgz",
+      },
+    ]);
+  });
+
+  it("keeps an existing branch cache", async () => {
+    const { s3, copied } = bucket([
+      "cache/main/a1b2.tgz",
+      "cache/feature/c3d4.tgz",
+    ]);
+    await seedCache(s3, "my-bucket/cache/feature", "my-bucket/cache/main");
+    expect(copied).to.deep.equal([]);
+  });
+
+  it("does not seed the default branch from itself", async () => {
+    const { s3, copied } = bucket(["cache/main/a1b2.tgz"]);
+    await seedCache(s3, "my-bucket/cache/main", "my-bucket/cache/main");
+    await seedCache(s3, undefined, "my-bucket/cache/main");
+    expect(copied).to.deep.equal([]);
+  });
+
+  it("only warns when seeding fails", async () => {
+    const s3 = {
+      async listObjectsV2() {
+        throw new Error("Access Denied");
+      },
+    };
+    await seedCache(s3, "my-bucket/cache/feature", "my-bucket/cache/main");
+  });
+});
@@ -0,0 +1,144 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { cancelSuperseded, supersededBy } = require("../cancel-in-progress");
+const { expect } = require("chai");
+
+const github = (variables) =>
+  Object.entries({
+    GITHUB_REPOSITORY: "owner/repo",
+    GITHUB_WORKFLOW: "CI",
+    GITHUB_REF: "refs/heads/main",
+    GITHUB_RUN_NUMBER: "10",
+    ...variables,
+  }).map(([name, value]) => ({ name, value, type: "PLAINTEXT" }));
+
+const build = (id, variables, buildStatus = "IN_PROGRESS") => ({
+  id,
+  buildStatus,
+  environment: { environmentVariables: github(variables) },
+});
+
+describe("supersededBy", () => {
+  const ours = {
+    GITHUB_REPOSITORY: "owner/repo",
+    GITHUB_WORKFLOW: "CI",
+    GITHUB_REF: "refs/heads/main",
+    GITHUB_RUN_NUMBER: "11",
+  };
+
+  it("supersedes earlier runs of the same workflow and branch", () => {
+    expect(supersededBy(build("old", {}), ours)).to.equal(true);
+  });
+
+  it("matches pull requests by number", () => {
+    const pr = { GITHUB_REF: "refs/pull/7/merge", GITHUB_HEAD_REF: "feature" };
+    expect(
+      supersededBy(build("old", { ...pr, GITHUB_REF: "refs/pull/7/head" }), {
+        ...ours,
+        ...pr,
+      })
+    ).to.equal(true);
+    expect(
+      supersededBy(build("other", { GITHUB_REF: "refs/pull/8/merge" }), {
+        ...ours,
+        ...pr,
+      })
+    ).to.equal(false);
+  });
+
+  it("leaves other repositories, workflows, branches and newer runs alone", () => {
+    [
+      { GITHUB_REPOSITORY: "owner/other" },
+      { GITHUB_WORKFLOW: "Deploy" },
+      { GITHUB_REF: "refs/heads/release" },
+      { GITHUB_RUN_NUMBER: "11" },
+      { GITHUB_RUN_NUMBER: "12" },
+    ].forEach((variables) =>
+      expect(supersededBy(build("build", variables), ours)).to.equal(false)
+    );
+  });
+
+  it("leaves builds not started by this action alone", () => {
+    expect(
+      supersededBy(
+        { id: "console", environment: { environmentVariables: [] } },
+        ours
+      )
+    ).to.equal(false);
+  });
+});
+
+describe("cancelSuperseded", () => {
+  const params = {
+    projectName: "project",
+    environmentVariablesOverride: github({ GITHUB_RUN_NUMBER: "11" }),
+  };
+
+  it("stops the superseded builds that are still in progress", async () => {
+    const stopped = [];
+    const listed = [];
+    const builds = {
+      old: build("old", {}),
+      other: build("other", { GITHUB_REF: "refs/heads/release" }),
+      done: build("done", {}, "SUCCEEDED"),
+      older: build("older", {}, "SUCCEEDED"),
+    };
+    const sdk = {
+      codeBuild: {
+        async listBuildsForProject(params) {
+          listed.push(params);
+          // The second page only has completed builds, so there is no need for a third
+          return params.nextToken
+            ? { ids: ["older"], nextToken: "even more" }
+            : { ids: ["old", "other", "done"], nextToken: "more" };
+        },
+        async batchGetBuilds({ ids }) {
+          return { builds: ids.map((id) => builds[id]) };
+        },
+        async stopBuild({ id }) {
+          stopped.push(id);
+        },
+      },
+    };
+
+    const test = await cancelSuperseded(sdk, params);
+
+    expect(test).to.deep.equal(["old"]);
+    expect(stopped).to.deep.equal(["old"]);
+    expect(listed).to.have.lengthOf(2);
+    expect(listed[0]).to.deep.equal({
+      projectName: "project",
+      sortOrder: "DESCENDING",
+      nextToken: undefined,
+    });
+  });
+
+  it("keeps going when a build cannot be stopped", async () => {
+    const sdk = {
+      codeBuild: {
+        async listBuildsForProject() {
+          return { ids: ["first", "second"] };
+        },
+        async batchGetBuilds({ ids }) {
+          return { builds: ids.map((id) => build(id, {})) };
+        },
+        async stopBuild({ id }) {
+          if (id === "first") throw new Error("Access denied");
+        },
+      },
+    };
+
+    const test = await cancelSuperseded(sdk, params);
+
+    expect(test).to.deep.equal(["second"]);
+  });
+
+  it("cancels nothing without the GITHUB_ environment variables", async () => {
+    const test = await cancelSuperseded(
+      {},
+      { projectName: "project", environmentVariablesOverride: [] }
+    );
+    expect(test).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,229 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const {
+  envVarEntries,
+  resolveEnvVars,
+  loadEnvFile,
+  mergeEnvVars,
+  checkEnvVarLimits,
+  warnProjectEnvVars,
+} = require("../env-vars");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("envVarEntries", () => {
+  it("splits entries on commas and new lines", () => {
+    expect(envVarEntries("one, two\n, three,\n four  ")).to.deep.equal([
+      "one",
+      "two",
+      "three",
+      "four",
+    ]);
+  });
+
+  it("keeps the commas of a value", () => {
+    expect(envVarEntries("one, two\nREGIONS=a,b\n")).to.deep.equal([
+      "one",
+      "two",
+      "REGIONS=a,b",
+    ]);
+  });
+
+  it("splits off the entries before a value on the same line", () => {
+    expect(envVarEntries("NPM_*, STAGE=dev")).to.deep.equal([
+      "NPM_*",
+      "STAGE=dev",
+    ]);
+    expect(
+      envVarEntries("A, B<-C, SECRET:SECRETS_MANAGER=prod/db, REGIONS=a,b")
+    ).to.deep.equal([
+      "A",
+      "B<-C",
+      "SECRET:SECRETS_MANAGER=prod/db, REGIONS=a,b",
+    ]);
+  });
+});
+
+describe("resolveEnvVars", () => {
+  const env = {
+    NPM_TOKEN: "token",
+    NPM_REGISTRY: "registry",
+    ENVIRONMENT: "prod",
+    STAGE: "beta",
+  };
+
+  it("passes runner variables on, by name, pattern or renamed", () => {
+    expect(
+      resolveEnvVars(["STAGE", "NPM_*", "DEPLOY_ENV<-ENVIRONMENT"], env)
+    ).to.deep.equal([
+      { name: "STAGE", value: "beta", type: "PLAINTEXT" },
+      { name: "NPM_REGISTRY", value: "registry", type: "PLAINTEXT" },
+      { name: "NPM_TOKEN", value: "token", type: "PLAINTEXT" },
+      { name: "DEPLOY_ENV", value: "prod", type: "PLAINTEXT" },
+    ]);
+  });
+
+  it("declares values and their types", () => {
+    expect(
+      resolveEnvVars(
+        [
+          "REGIONS=us-east-1,eu-west-1",
+          "EMPTY=",
+          "DB_PASSWORD:SECRETS_MANAGER=prod/db:password",
+          "CONFIG:PARAMETER_STORE<-STAGE",
+        ],
+        env
+      )
+    ).to.deep.equal([
+      { name: "REGIONS", value: "us-east-1,eu-west-1", type: "PLAINTEXT" },
+      { name: "EMPTY", value: "", type: "PLAINTEXT" },
+      {
+        name: "DB_PASSWORD",
+        value: "prod/db:password",
+        type: "SECRETS_MANAGER",
+      },
+      { name: "CONFIG", value: "beta", type: "PARAMETER_STORE" },
+    ]);
+  });
+
+  it("skips runner variables that are not set", () => {
+    expect(
+      resolveEnvVars(["MISSING", "A<-MISSING", "NONE_*"], env)
+    ).to.deep.equal([]);
+  });
+
+  it("fails for invalid entries", () => {
+    expect(() => resolveEnvVars(["NOT-A-NAME"], env)).to.throw(
+      "Invalid environment variable NOT-A-NAME, use NAME, NAME=value or NAME<-RUNNER_NAME."
+    );
+    expect(() => resolveEnvVars(["A:SECRET=x"], env)).to.throw(
+      "Invalid environment variable type SECRET, use one of PLAINTEXT, PARAMETER_STORE, SECRETS_MANAGER."
+    );
+    expect(() => resolveEnvVars(["NPM_*=x"], env)).to.throw(
+      "Environment variable patterns like NPM_* can only pass runner variables on."
+    );
+  });
+});
+
+describe("loadEnvFile", () => {
+  const OLD_ENV = { ...process.env };
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  it("reads a dotenv file from the workspace", () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "env-"));
+    fs.writeFileSync(
+      path.join(workspace, ".env"),
+      [
+        "# settings",
+        "STAGE=prod",
+        "export REGION = us-east-1 # the main one",
+        'GREETING="hello, world\\n"',
+        "LITERAL='$HOME'",
+        "",
+      ].join("\n")
+    );
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    expect(loadEnvFile(".env")).to.deep.equal([
+      { name: "STAGE", value: "prod", type: "PLAINTEXT" },
+      { name: "REGION", value: "us-east-1", type: "PLAINTEXT" },
+      { name: "GREETING", value: "hello, world\n", type: "PLAINTEXT" },
+      { name: "LITERAL", value: "$HOME", type: "PLAINTEXT" },
+    ]);
+  });
+
+  it("has nothing without a file", () => {
+    expect(loadEnvFile(undefined)).to.deep.equal([]);
+  });
+});
+
+describe("mergeEnvVars", () => {
+  it("keeps the last variable of a name", () => {
+    expect(
+      mergeEnvVars(
+        [
+          { name: "A", value: "1", type: "PLAINTEXT" },
+          { name: "B", value: "2", type: "PLAINTEXT" },
+        ],
+        [{ name: "A", value: "3", type: "PLAINTEXT" }]
+      )
+    ).to.deep.equal([
+      { name: "B", value: "2", type: "PLAINTEXT" },
+      { name: "A", value: "3", type: "PLAINTEXT" },
+    ]);
+  });
+});
+
+describe("checkEnvVarLimits", () => {
+  it("rejects variables over the CodeBuild limits", () => {
+    expect(() =>
+      checkEnvVarLimits([{ name: "A", value: "x".repeat(20000) }])
+    ).to.throw(
+      "The environment variables for CodeBuild have 20001 characters, more than the 12288 CodeBuild allows."
+    );
+    expect(() =>
+      checkEnvVarLimits([{ name: "N".repeat(300), value: "" }])
+    ).to.throw("is longer than 255 characters.");
+    checkEnvVarLimits([{ name: "A", value: "x" }]);
+  });
+});
+
+describe("warnProjectEnvVars", () => {
+  const warnings = async (sdk, params) => {
+    const written = [];
+    const write = process.stdout.write;
+    process.stdout.write = (line) =>
+      written.push(...line.split("\n").slice(0, -1));
+    try {
+      await warnProjectEnvVars(sdk, params);
+    } finally {
+      process.stdout.write = write;
+    }
+    return written.filter((line) => line.startsWith("::warning"));
+  };
+
+  it("warns about variables that replace the ones of the project", async () => {
+    const sdk = {
+      codeBuild: {
+        async batchGetProjects() {
+          return {
+            projects: [
+              {
+                environment: {
+                  environmentVariables: [{ name: "STAGE" }, { name: "OTHER" }],
+                },
+              },
+            ],
+          };
+        },
+      },
+    };
+    const test = await warnings(sdk, {
+      projectName: "project",
+      environmentVariablesOverride: [{ name: "STAGE" }, { name: "NEW" }],
+    });
+    expect(test).to.deep.equal([
+      "::warning::The environment variable STAGE replaces the one the project project defines.",
+    ]);
+  });
+
+  it("is skipped when the project cannot be read", async () => {
+    const sdk = {
+      codeBuild: {
+        async batchGetProjects() {
+          throw { name: "AccessDeniedException" };
+        },
+      },
+    };
+    const test = await warnings(sdk, {
+      projectName: "project",
+      environmentVariablesOverride: [{ name: "STAGE" }],
+    });
+    expect(test).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,108 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { logPrinter } = require("../log-printer");
+const { expect } = require("chai");
+
+describe("logPrinter", () => {
+  const entering = (phase) =>
+    `[Container] 2020/01/01 00:00:00.000000 Entering phase ${phase}\n`;
+  const complete = (phase, state) =>
+    `[Container] 2020/01/01 00:00:00.000000 Phase complete: ${phase} State: ${state}\n`;
+
+  it("groups the log of every phase", () => {
+    const test = capture((printer) => {
+      printer.print("Waiting for agent ping\n");
+      printer.print(entering("INSTALL"));
+      printer.print("npm install\n");
+      printer.print(complete("INSTALL", "SUCCEEDED"));
+      printer.print(entering("BUILD"));
+      printer.print("npm test\n");
+      printer.end();
+    });
+    expect(test).to.deep.equal([
+      "Waiting for agent ping",
+      "::group::INSTALL",
+      entering("INSTALL").trimEnd(),
+      "npm install",
+      complete("INSTALL", "SUCCEEDED").trimEnd(),
+      "::endgroup::",
+      "::group::BUILD",
+      entering("BUILD").trimEnd(),
+      "npm test",
+      "::endgroup::",
+    ]);
+  });
+
+  it("prints the completion of a failed phase outside of its group and flags it", () => {
+    const test = capture((printer) => {
+      printer.print(entering("BUILD"));
+      printer.print("npm test\n");
+      printer.print(complete("BUILD", "FAILED"));
+      printer.print("Phase context status code: COMMAND_EXECUTION_ERROR\n");
+      printer.end();
+    });
+    expect(test).to.deep.equal([
+      "::group::BUILD",
+      entering("BUILD").trimEnd(),
+      "npm test",
+      "::endgroup::",
+      complete("BUILD", "FAILED").trimEnd(),
+      "::error::Phase BUILD FAILED",
+      "Phase context status code: COMMAND_EXECUTION_ERROR",
+    ]);
+  });
+
+  it("does not group phases when phaseGroups is false", () => {
+    const test = capture(
+      (printer) => {
+        printer.print(entering("BUILD"));
+        printer.print(complete("BUILD", "SUCCEEDED"));
+        printer.end();
+      },
+      { phaseGroups: false }
+    );
+    expect(test).to.deep.equal([
+      entering("BUILD").trimEnd(),
+      complete("BUILD", "SUCCEEDED").trimEnd(),
+    ]);
+  });
+
+  it("matches problems on every line, including a failed phase", () => {
+    const matched = [];
+    capture(
+      (printer) => {
+        printer.print(entering("BUILD"));
+        printer.print(complete("BUILD", "FAILED"));
+        printer.end();
+      },
+      { matcher: { match: (line) => matched.push(line) } }
+    );
+    expect(matched).to.deep.equal([
+      entering("BUILD").trimEnd(),
+      complete("BUILD", "FAILED").trimEnd(),
+    ]);
+  });
+
+  it("redacts every line before printing or matching it", () => {
+    const matched = [];
+    const test = capture((printer) => printer.print("token: s3cr3t\n"), {
+      redact: (line) => line.replace("s3cr3t", "***"),
+      matcher: { match: (line) => matched.push(line) },
+    });
+    expect(test).to.deep.equal(["token: ***"]);
+    expect(matched).to.deep.equal(["token: ***"]);
+  });
+});
+
+function capture(fn, options) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (line) => lines.push(...line.split("\n").slice(0, -1));
+  try {
+    fn(logPrinter(options));
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
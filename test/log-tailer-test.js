@@ -0,0 +1,422 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { logTailer, unseenEvents } = require("../log-tailer");
+const { expect } = require("chai");
+
+describe("logTailer", () => {
+  const stream = { logGroupName: "group", logStreamName: "stream" };
+
+  it("prints the whole log before draining finishes", async () => {
+    const pages = [
+      { events: [{ message: "one" }], nextForwardToken: "1" },
+      { events: [], nextForwardToken: "1" },
+      { events: [{ message: "two" }], nextForwardToken: "2" },
+    ];
+    const printed = [];
+    const tokens = [];
+    const tailer = logTailer(
+      {
+        async getLogEvents({ nextToken }) {
+          tokens.push(nextToken);
+          return pages.shift() || { events: [], nextForwardToken: "2" };
+        },
+      },
+      { printer: printer(printed), minIdle: 1, maxIdle: 5 }
+    );
+
+    tailer.follow(stream);
+    await tailer.drain();
+
+    expect(printed).to.deep.equal(["one", "two"]);
+    expect(tokens.slice(0, 3)).to.deep.equal([undefined, "1", "1"]);
+  });
+
+  it("does nothing without a log group", async () => {
+    const tailer = logTailer(
+      {
+        async getLogEvents() {
+          throw new Error("should not be called");
+        },
+      },
+      { printer: printer([]), minIdle: 1, maxIdle: 5 }
+    );
+
+    tailer.follow({});
+    await tailer.drain();
+  });
+
+  it("surfaces errors from CloudWatch Logs", async () => {
+    const tailer = logTailer(
+      {
+        async getLogEvents() {
+          throw new Error("Some AWS error");
+        },
+      },
+      { printer: printer([]), minIdle: 1, maxIdle: 5 }
+    );
+
+    tailer.follow(stream);
+    let didFail = false;
+    try {
+      await tailer.drain();
+    } catch (err) {
+      didFail = true;
+      expect(err.message).to.equal("Some AWS error");
+    }
+
+    expect(didFail).to.equal(true);
+  });
+
+  it("stops tailing when asked to", async () => {
+    let count = 0;
+    const tailer = logTailer(
+      {
+        async getLogEvents() {
+          count++;
+          return { events: [] };
+        },
+      },
+      { printer: printer([]), minIdle: 1, maxIdle: 5 }
+    );
+
+    tailer.follow(stream);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    tailer.stop();
+    const stoppedAt = count;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    expect(count).to.be.at.most(stoppedAt + 1);
+  });
+});
+
+describe("logTailer and missing logs", () => {
+  const stream = { logGroupName: "group", logStreamName: "stream" };
+  const notFound = () => {
+    const err = new Error("The specified log stream does not exist.");
+    err.name = "ResourceNotFoundException";
+    return err;
+  };
+
+  it("waits for the log stream to be created", async () => {
+    let count = 0;
+    const printed = [];
+    const tailer = logTailer(
+      {
+        async getLogEvents() {
+          count++;
+          if (count < 3) throw notFound();
+          if (count === 3) return { events: [{ message: "finally" }] };
+          return { events: [] };
+        },
+      },
+      { printer: printer(printed), minIdle: 1, maxIdle: 5 }
+    );
+
+    tailer.follow(stream);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const written = await stdout(() => tailer.drain());
+
+    expect(printed).to.deep.equal(["finally"]);
+    expect(written).to.deep.equal([]);
+  });
+
+  it("warns when the log stream never appears", async () => {
+    const tailer = logTailer(
+      {
+        async getLogEvents() {
+          throw notFound();
+        },
+      },
+      { printer: printer([]), minIdle: 1, maxIdle: 5 }
+    );
+
+    tailer.follow(stream);
+    const written = await stdout(() => tailer.drain());
+
+    expect(written).to.deep.equal([
+      "::warning::The CloudWatch Logs stream group/stream never appeared, so the build log is not shown.",
+    ]);
+  });
+
+  it("warns when the build has no log stream", async () => {
+    const tailer = logTailer({}, { printer: printer([]), minIdle: 1 });
+
+    const written = await stdout(() => tailer.drain());
+
+    expect(written).to.deep.equal([
+      "::warning::The build never reported a CloudWatch Logs stream, so its log is not shown.",
+    ]);
+  });
+});
+
+describe("logTailer with Live Tail", () => {
+  const stream = {
+    logGroupName: "group",
+    logStreamName: "stream",
+    logGroupArn: "arn:aws:logs:us-west-2:111122223333:log-group:group",
+  };
+  const event = (timestamp, message) => ({
+    timestamp,
+    ingestionTime: timestamp,
+    message,
+  });
+
+  it("prints the pushed events once polling caught up", async () => {
+    const requests = [];
+    let polls = 0;
+    let ended = false;
+    const cloudWatchLogs = {
+      async getLogEvents() {
+        polls++;
+        if (ended === true) {
+          // The final drain sees what Live Tail printed already
+          ended = "drained";
+          return {
+            events: [event(1, "backfill"), event(2, "live")],
+            nextForwardToken: "2",
+          };
+        }
+        if (ended) return { events: [], nextForwardToken: "2" };
+        return polls === 1
+          ? { events: [event(1, "backfill")], nextForwardToken: "1" }
+          : { events: [], nextForwardToken: "1" };
+      },
+      async startLiveTail(params, { abortSignal }) {
+        requests.push(params);
+        return {
+          responseStream: (async function* () {
+            yield { sessionStart: {} };
+            yield { sessionUpdate: { sessionResults: [event(2, "live")] } };
+            await new Promise((resolve) =>
+              abortSignal.addEventListener("abort", resolve)
+            );
+            throw Object.assign(new Error("aborted"), { name: "AbortError" });
+          })(),
+        };
+      },
+    };
+    const printed = [];
+    const tailer = logTailer(cloudWatchLogs, {
+      printer: printer(printed),
+      minIdle: 1,
+      maxIdle: 5,
+      liveTail: true,
+    });
+
+    tailer.follow(stream);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(printed).to.deep.equal(["backfill", "live"]);
+    // Nothing was polled while Live Tail was streaming
+    expect(polls).to.equal(2);
+
+    ended = true;
+    await tailer.drain();
+
+    expect(printed).to.deep.equal(["backfill", "live"]);
+    expect(requests).to.deep.equal([
+      {
+        logGroupIdentifiers: [stream.logGroupArn],
+        logStreamNames: ["stream"],
+      },
+    ]);
+  });
+
+  it("prints the events Live Tail skipped when draining", async () => {
+    let ended = false;
+    const cloudWatchLogs = {
+      async getLogEvents() {
+        if (ended === true) {
+          ended = "drained";
+          return {
+            events: [event(1, "a"), event(2, "b"), event(3, "c")],
+            nextForwardToken: "3",
+          };
+        }
+        return { events: [], nextForwardToken: ended ? "3" : "0" };
+      },
+      async startLiveTail(params, { abortSignal }) {
+        return {
+          responseStream: (async function* () {
+            // A busy stream is sampled, b is not pushed
+            yield {
+              sessionUpdate: { sessionResults: [event(1, "a"), event(3, "c")] },
+            };
+            await new Promise((resolve) =>
+              abortSignal.addEventListener("abort", resolve)
+            );
+          })(),
+        };
+      },
+    };
+    const printed = [];
+    const tailer = logTailer(cloudWatchLogs, {
+      printer: printer(printed),
+      minIdle: 1,
+      maxIdle: 5,
+      liveTail: true,
+    });
+
+    tailer.follow(stream);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(printed).to.deep.equal(["a", "c"]);
+
+    ended = true;
+    await tailer.drain();
+
+    expect(printed).to.deep.equal(["a", "c", "b"]);
+  });
+
+  // A session that only ends when it is aborted
+  const liveTailClient = (getLogEvents, aborted) => ({
+    getLogEvents,
+    async startLiveTail(params, { abortSignal }) {
+      abortSignal.addEventListener("abort", () => aborted.push(true));
+      return {
+        responseStream: (async function* () {
+          yield { sessionStart: {} };
+          await new Promise((resolve) =>
+            abortSignal.addEventListener("abort", resolve)
+          );
+        })(),
+      };
+    },
+  });
+
+  it("closes the Live Tail session when polling fails", async () => {
+    const aborted = [];
+    const cloudWatchLogs = liveTailClient(async () => {
+      throw new Error("Some AWS error");
+    }, aborted);
+    const tailer = logTailer(cloudWatchLogs, {
+      printer: printer([]),
+      minIdle: 1,
+      maxIdle: 5,
+      liveTail: true,
+    });
+
+    tailer.follow(stream);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(() => tailer.check()).to.throw("Some AWS error");
+    expect(aborted).to.deep.equal([true]);
+  });
+
+  it("closes the Live Tail session when stopped while paging", async () => {
+    const aborted = [];
+    let count = 0;
+    // A chatty build, one page every millisecond
+    const cloudWatchLogs = liveTailClient(async () => {
+      count++;
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      return { events: [event(count, `line ${count}`)] };
+    }, aborted);
+    const tailer = logTailer(cloudWatchLogs, {
+      printer: printer([]),
+      minIdle: 1,
+      maxIdle: 5,
+      liveTail: true,
+    });
+
+    tailer.follow(stream);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    tailer.stop();
+    const polled = count;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(aborted).to.deep.equal([true]);
+    expect(count).to.be.at.most(polled + 1);
+  });
+
+  it("falls back to polling when Live Tail is denied", async () => {
+    let count = 0;
+    const cloudWatchLogs = {
+      async getLogEvents() {
+        count++;
+        return count === 3 ? { events: [event(1, "polled")] } : { events: [] };
+      },
+      async startLiveTail() {
+        const err = new Error("not authorized to perform logs:StartLiveTail");
+        err.name = "AccessDeniedException";
+        throw err;
+      },
+    };
+    const printed = [];
+    const tailer = logTailer(cloudWatchLogs, {
+      printer: printer(printed),
+      minIdle: 1,
+      maxIdle: 5,
+      liveTail: true,
+    });
+
+    const written = await stdout(async () => {
+      tailer.follow(stream);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      await tailer.drain();
+    });
+
+    expect(printed).to.deep.equal(["polled"]);
+    expect(written).to.deep.equal([
+      "::warning::Live Tail of group is not allowed, polling the build log instead. Allow logs:StartLiveTail to stream it live.",
+    ]);
+  });
+});
+
+describe("unseenEvents", () => {
+  const event = (timestamp, message, ingestionTime = timestamp) => ({
+    timestamp,
+    ingestionTime,
+    message,
+  });
+
+  it("skips the events of overlapping pages", () => {
+    const unseen = unseenEvents();
+    expect(unseen([event(1, "a"), event(2, "b")])).to.have.lengthOf(2);
+    expect(
+      unseen([event(2, "b"), event(3, "c")]).map(({ message }) => message)
+    ).to.deep.equal(["c"]);
+  });
+
+  it("keeps repeated lines that share a timestamp", () => {
+    const unseen = unseenEvents();
+    expect(unseen([event(1, "x"), event(1, "x")])).to.have.lengthOf(2);
+    expect(
+      unseen([event(1, "x"), event(1, "x"), event(1, "x")])
+    ).to.have.lengthOf(1);
+  });
+
+  it("tells whether an event is still to be printed", () => {
+    const unseen = unseenEvents();
+    unseen([event(1, "a"), event(2, "b")]);
+    expect(unseen.pending(event(1, "a"))).to.equal(false);
+    expect(unseen.pending(event(2, "b"))).to.equal(false);
+    expect(unseen.pending(event(2, "other"))).to.equal(true);
+    expect(unseen.pending(event(3, "c"))).to.equal(true);
+    // Asking does not print anything
+    expect(unseen([event(3, "c")])).to.have.lengthOf(1);
+  });
+
+  it("orders events of the same timestamp by ingestion", () => {
+    const unseen = unseenEvents();
+    expect(unseen([event(1, "a", 5)])).to.have.lengthOf(1);
+    expect(unseen([event(1, "a", 5), event(1, "b", 6)])).to.deep.equal([
+      event(1, "b", 6),
+    ]);
+  });
+});
+
+async function stdout(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (line) => lines.push(...line.split("\n").slice(0, -1));
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
+
+function printer(printed) {
+  return { print: (message) => printed.push(message), end() {} };
+}
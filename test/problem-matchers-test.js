@@ -0,0 +1,183 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const {
+  loadProblemMatchers,
+  problemMatcher,
+  annotationBudget,
+} = require("../problem-matchers");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("loadProblemMatchers", () => {
+  const OLD_ENV = { ...process.env };
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  it("loads the built-in matchers", () => {
+    const test = loadProblemMatchers(["tsc", "eslint"]);
+    expect(test.map(({ owner }) => owner)).to.deep.equal(["tsc", "eslint"]);
+    expect(test[1].pattern[0].regexp).to.be.instanceOf(RegExp);
+  });
+
+  it("loads problem matcher files from the workspace", () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "matchers-"));
+    fs.writeFileSync(
+      path.join(workspace, "matcher.json"),
+      JSON.stringify({
+        problemMatcher: [
+          {
+            owner: "custom",
+            pattern: [{ regexp: "^(.*): (.*)$", file: 1, message: 2 }],
+          },
+        ],
+      })
+    );
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    const test = loadProblemMatchers(["matcher.json"]);
+    expect(test.map(({ owner }) => owner)).to.deep.equal(["custom"]);
+  });
+
+  it("throws for an unknown matcher", () => {
+    expect(() => loadProblemMatchers(["nope"])).to.throw(
+      "Unknown problem matcher nope"
+    );
+  });
+
+  it("throws for a matcher without a regexp", () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "matchers-"));
+    fs.writeFileSync(
+      path.join(workspace, "matcher.json"),
+      JSON.stringify({ problemMatcher: [{ owner: "bad", pattern: [{}] }] })
+    );
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    expect(() => loadProblemMatchers(["matcher.json"])).to.throw(
+      "Problem matcher bad needs at least one pattern with a regexp."
+    );
+  });
+});
+
+describe("problemMatcher", () => {
+  const srcDir = "/codebuild/output/src123456789/src/github.com/owner/repo";
+
+  it("annotates tsc errors relative to the CodeBuild source directory", () => {
+    const test = annotations(
+      ["tsc"],
+      [
+        `[Container] 2020/01/01 00:00:00.000000 CODEBUILD_SRC_DIR=${srcDir}`,
+        `${srcDir}/src/index.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.`,
+      ]
+    );
+    expect(test).to.deep.equal([
+      "::error title=TS2322,file=src/index.ts,line=12,col=5::Type 'string' is not assignable to type 'number'.",
+    ]);
+  });
+
+  it("annotates relative to the checkout of a GitHub Enterprise Server repository", () => {
+    const OLD_SERVER_URL = process.env.GITHUB_SERVER_URL;
+    process.env.GITHUB_SERVER_URL = "https://github.example.com";
+    try {
+      const test = annotations(
+        ["gcc"],
+        [
+          "/codebuild/output/src123456789/src/github.example.com/owner/repo/main.c:3:1: error: boom",
+        ]
+      );
+      expect(test).to.deep.equal([
+        "::error title=gcc,file=main.c,line=3,col=1::boom",
+      ]);
+    } finally {
+      if (OLD_SERVER_URL === undefined) {
+        delete process.env.GITHUB_SERVER_URL;
+      } else {
+        process.env.GITHUB_SERVER_URL = OLD_SERVER_URL;
+      }
+    }
+  });
+
+  it("annotates every problem of a multi-line eslint report", () => {
+    const test = annotations(
+      ["eslint"],
+      [
+        `${srcDir}/index.js`,
+        "  1:10  error    'x' is defined but never used  no-unused-vars",
+        "  2:1   warning  Unexpected console statement   no-console",
+        "",
+        "✖ 2 problems (1 error, 1 warning)",
+      ]
+    );
+    expect(test).to.deep.equal([
+      "::error title=no-unused-vars,file=index.js,line=1,col=10::'x' is defined but never used",
+      "::warning title=no-console,file=index.js,line=2,col=1::Unexpected console statement",
+    ]);
+  });
+
+  it("annotates gcc and javac problems", () => {
+    const test = annotations(
+      ["gcc", "javac"],
+      [
+        "/codebuild/output/src987/src/main.c:3:1: warning: unused variable 'x'",
+        "src/Main.java:7: error: cannot find symbol",
+      ]
+    );
+    expect(test).to.deep.equal([
+      "::warning title=gcc,file=main.c,line=3,col=1::unused variable 'x'",
+      "::error title=javac,file=src/Main.java,line=7::cannot find symbol",
+    ]);
+  });
+
+  it("stops annotating at maxAnnotations", () => {
+    const line = "main.c:3:1: error: boom";
+    const test = annotations(["gcc"], [line, line, line], {
+      maxAnnotations: 2,
+    });
+    expect(test).to.have.lengthOf(3);
+    expect(test[2]).to.equal(
+      "::warning::More than 2 problems found in the build log, no more will be annotated."
+    );
+  });
+
+  it("shares maxAnnotations through a budget, but not the multi-line state", () => {
+    const budget = annotationBudget(1);
+    const eslint = loadProblemMatchers(["eslint"]);
+    const one = problemMatcher(eslint, { budget });
+    const two = problemMatcher(eslint, { budget });
+    const test = output(() => {
+      one.match(`${srcDir}/index.js`);
+      // Without a file line of its own, this is no problem
+      two.match(
+        "  1:10  error    'x' is defined but never used  no-unused-vars"
+      );
+      one.match("  2:1   warning  Unexpected console statement   no-console");
+      two.match(`${srcDir}/other.js`);
+      two.match("  3:1   warning  Unexpected console statement   no-console");
+    });
+    expect(test).to.deep.equal([
+      "::warning title=no-console,file=index.js,line=2,col=1::Unexpected console statement",
+      "::warning::More than 1 problems found in the build log, no more will be annotated.",
+    ]);
+  });
+});
+
+function annotations(names, lines, options) {
+  const matcher = problemMatcher(loadProblemMatchers(names), options);
+  return output(() => lines.forEach((line) => matcher.match(line)));
+}
+
+function output(fn) {
+  const written = [];
+  const write = process.stdout.write;
+  process.stdout.write = (line) =>
+    written.push(...line.split("\n").slice(0, -1));
+  try {
+    fn();
+  } finally {
+    process.stdout.write = write;
+  }
+  return written;
+}
@@ -0,0 +1,112 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const {
+  fetchReports,
+  annotateFailedTests,
+  assertCoverage,
+} = require("../reports");
+const { expect } = require("chai");
+
+describe("fetchReports", () => {
+  const testArn =
+    "arn:aws:codebuild:us-west-2:111122223333:report/project-tests:1234";
+  const coverageArn =
+    "arn:aws:codebuild:us-west-2:111122223333:report/project-coverage:5678";
+
+  it("fetches the reports and the failed test cases", async () => {
+    const calls = [];
+    const sdk = {
+      codeBuild: {
+        async batchGetReports({ reportArns }) {
+          expect(reportArns).to.deep.equal([testArn, coverageArn]);
+          return {
+            reports: [
+              { arn: testArn, type: "TEST", name: "tests" },
+              { arn: coverageArn, type: "CODE_COVERAGE", name: "coverage" },
+            ],
+          };
+        },
+        async describeTestCases({ reportArn, filter, nextToken }) {
+          calls.push({ reportArn, filter, nextToken });
+          if (filter.status === "ERROR") return { testCases: [] };
+          return nextToken
+            ? { testCases: [{ name: "two", status: "FAILED" }] }
+            : {
+                testCases: [{ name: "one", status: "FAILED" }],
+                nextToken: "next",
+              };
+        },
+      },
+    };
+
+    const test = await fetchReports(sdk, {
+      reportArns: [testArn, coverageArn],
+    });
+
+    expect(test).to.have.lengthOf(2);
+    expect(test[0].failedTestCases).to.deep.equal([
+      { name: "one", status: "FAILED" },
+      { name: "two", status: "FAILED" },
+    ]);
+    expect(test[1]).to.not.haveOwnProperty("failedTestCases");
+    expect(calls).to.have.lengthOf(3);
+    expect(calls.every(({ reportArn }) => reportArn === testArn)).to.equal(
+      true
+    );
+  });
+
+  it("does not call the API when the build has no reports", async () => {
+    const test = await fetchReports({}, {});
+    expect(test).to.deep.equal([]);
+  });
+});
+
+describe("annotateFailedTests", () => {
+  it("writes an error annotation for every failed test case", () => {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = (line) => lines.push(line);
+    try {
+      annotateFailedTests([
+        {
+          name: "tests",
+          failedTestCases: [
+            { prefix: "MyClass", name: "works", message: "expected 1" },
+            { name: "crashes", status: "ERROR" },
+          ],
+        },
+        { name: "coverage" },
+      ]);
+    } finally {
+      process.stdout.write = write;
+    }
+    expect(lines).to.have.lengthOf(2);
+    expect(lines[0]).to.contain(
+      "::error title=tests%3A MyClass works::expected 1"
+    );
+    expect(lines[1]).to.contain("::error title=tests%3A crashes::Test ERROR");
+  });
+});
+
+describe("assertCoverage", () => {
+  const reports = [
+    { type: "TEST", name: "tests" },
+    {
+      type: "CODE_COVERAGE",
+      name: "coverage",
+      codeCoverageSummary: { lineCoveragePercentage: 79.5 },
+    },
+  ];
+
+  it("passes when every report is at or above the threshold", () => {
+    expect(() => assertCoverage(reports, 79.5)).to.not.throw();
+    expect(() => assertCoverage(reports, undefined)).to.not.throw();
+  });
+
+  it("fails when a report is below the threshold", () => {
+    expect(() => assertCoverage(reports, 80)).to.throw(
+      "Line coverage of coverage is 79.5%, below the threshold of 80%"
+    );
+  });
+});
@@ -0,0 +1,96 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const { s3LogLocation, readS3Log } = require("../s3-log");
+const { expect } = require("chai");
+const zlib = require("zlib");
+
+describe("s3LogLocation", () => {
+  it("returns the bucket and key of the log object", () => {
+    expect(
+      s3LogLocation("arn:aws:s3:::log-bucket/path/to/build.gz")
+    ).to.deep.equal({ Bucket: "log-bucket", Key: "path/to/build.gz" });
+  });
+
+  it("return undefined when there is no S3 log", () => {
+    expect(s3LogLocation(undefined)).to.equal(undefined);
+    expect(s3LogLocation("arn:aws:s3:::log-bucket")).to.equal(undefined);
+  });
+});
+
+describe("readS3Log", () => {
+  const location = { Bucket: "log-bucket", Key: "build.gz" };
+  const body = (buffer) => ({
+    Body: { transformToByteArray: async () => buffer },
+  });
+
+  it("reads gzip-compressed logs", async () => {
+    const s3 = {
+      async getObject() {
+        return body(zlib.gzipSync("one\ntwo\n"));
+      },
+    };
+    expect(await readS3Log(s3, location)).to.deep.equal(["one", "two"]);
+  });
+
+  it("reads uncompressed logs", async () => {
+    const s3 = {
+      async getObject() {
+        return body(Buffer.from("one\ntwo"));
+      },
+    };
+    expect(await readS3Log(s3, location)).to.deep.equal(["one", "two"]);
+  });
+
+  it("waits for the log to be uploaded", async () => {
+    let count = 0;
+    const s3 = {
+      async getObject() {
+        if (count++ < 2) throw { name: "NoSuchKey" };
+        return body(Buffer.from("done\n"));
+      },
+    };
+    expect(await readS3Log(s3, location, { interval: 1 })).to.deep.equal([
+      "done",
+    ]);
+    expect(count).to.equal(3);
+  });
+
+  it("warns when the log never appears", async () => {
+    const s3 = {
+      async getObject() {
+        throw { name: "NoSuchKey" };
+      },
+    };
+    const written = [];
+    const write = process.stdout.write;
+    process.stdout.write = (line) =>
+      written.push(...line.split("\n").slice(0, -1));
+    let test;
+    try {
+      test = await readS3Log(s3, location, { attempts: 2, interval: 1 });
+    } finally {
+      process.stdout.write = write;
+    }
+    expect(test).to.deep.equal([]);
+    expect(written).to.deep.equal([
+      "::warning::The build log s3://log-bucket/build.gz never appeared, so it is not shown.",
+    ]);
+  });
+
+  it("throws any other error", async () => {
+    const s3 = {
+      async getObject() {
+        throw { name: "AccessDenied" };
+      },
+    };
+    let didFail = false;
+    try {
+      await readS3Log(s3, location);
+    } catch (err) {
+      didFail = true;
+      expect(err.name).to.equal("AccessDenied");
+    }
+    expect(didFail).to.equal(true);
+  });
+});
@@ -0,0 +1,168 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const {
+  loadStartBuildConfig,
+  mergeStartBuildConfig,
+} = require("../start-build-config");
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+describe("loadStartBuildConfig", () => {
+  const OLD_ENV = { ...process.env };
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  it("loads a YAML file from the workspace", () => {
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "config-"));
+    fs.writeFileSync(
+      path.join(workspace, "start-build.yml"),
+      [
+        "privilegedModeOverride: true",
+        "gitCloneDepthOverride: 1",
+        "logsConfigOverride:",
+        "  cloudWatchLogs:",
+        "    status: ENABLED",
+        "    groupName: my-group",
+      ].join("\n")
+    );
+    process.env.GITHUB_WORKSPACE = workspace;
+
+    const test = loadStartBuildConfig("start-build.yml");
+
+    expect(test).to.deep.equal({
+      privilegedModeOverride: true,
+      gitCloneDepthOverride: 1,
+      logsConfigOverride: {
+        cloudWatchLogs: { status: "ENABLED", groupName: "my-group" },
+      },
+    });
+  });
+
+  it("loads inline JSON", () => {
+    const test = loadStartBuildConfig(
+      JSON.stringify({
+        secondarySourcesOverride: [
+          { type: "GITHUB", location: "https://github.com/o/r.git" },
+        ],
+      })
+    );
+    expect(test.secondarySourcesOverride).to.have.lengthOf(1);
+  });
+
+  it("interpolates GitHub context and environment values", () => {
+    process.env.GITHUB_SHA = "1234abcd";
+    process.env.GITHUB_RUN_ID = "42";
+    process.env.STAGE = "prod";
+
+    const test = loadStartBuildConfig(
+      [
+        "sourceVersion: ${{ github.sha }}",
+        "environmentVariablesOverride:",
+        "  - name: RUN",
+        "    value: run-${{ github.run_id }}-${{env.STAGE}}",
+      ].join("\n")
+    );
+
+    expect(test).to.deep.equal({
+      sourceVersion: "1234abcd",
+      environmentVariablesOverride: [{ name: "RUN", value: "run-42-prod" }],
+    });
+  });
+
+  it("fails for unknown expressions", () => {
+    expect(() =>
+      loadStartBuildConfig("imageOverride: ${{ secrets.TOKEN }}\n")
+    ).to.throw(
+      "start-build-config.imageOverride: unknown expression ${{ secrets.TOKEN }}"
+    );
+  });
+
+  it("fails for unknown fields", () => {
+    expect(() =>
+      loadStartBuildConfig("cacheOverride:\n  type: S3\n  bucket: b\n")
+    ).to.throw(
+      "start-build-config.cacheOverride.bucket is not a StartBuild field"
+    );
+    expect(() => loadStartBuildConfig("toString: x\n")).to.throw(
+      "start-build-config.toString is not a StartBuild field"
+    );
+  });
+
+  it("fails for wrong types", () => {
+    expect(() =>
+      loadStartBuildConfig("privilegedModeOverride: yes please\n")
+    ).to.throw("start-build-config.privilegedModeOverride must be a boolean");
+    expect(() => loadStartBuildConfig("gitCloneDepthOverride: 1.5\n")).to.throw(
+      "start-build-config.gitCloneDepthOverride must be an integer"
+    );
+    expect(() =>
+      loadStartBuildConfig("environmentVariablesOverride:\n  name: X\n")
+    ).to.throw(
+      "start-build-config.environmentVariablesOverride must be a list"
+    );
+  });
+
+  it("fails for something that is not a mapping", () => {
+    expect(() => loadStartBuildConfig("missing-file.yml")).to.throw(
+      "start-build-config must be a mapping of StartBuild fields, or the path to a file with one."
+    );
+  });
+
+  it("returns undefined without a config", () => {
+    expect(loadStartBuildConfig("")).to.equal(undefined);
+  });
+});
+
+describe("mergeStartBuildConfig", () => {
+  it("deep merges the config over the parameters", () => {
+    const test = mergeStartBuildConfig(
+      {
+        projectName: "project",
+        imageOverride: undefined,
+        artifactsOverride: { type: "S3", location: "bucket" },
+        environmentVariablesOverride: [
+          { name: "GITHUB_SHA", value: "1234", type: "PLAINTEXT" },
+          { name: "STAGE", value: "dev", type: "PLAINTEXT" },
+        ],
+      },
+      {
+        imageOverride: "image",
+        artifactsOverride: { path: "out" },
+        environmentVariablesOverride: [
+          { name: "STAGE", value: "prod" },
+          { name: "EXTRA", value: "x", type: "PARAMETER_STORE" },
+        ],
+      }
+    );
+
+    expect(test).to.deep.equal({
+      projectName: "project",
+      imageOverride: "image",
+      artifactsOverride: { type: "S3", location: "bucket", path: "out" },
+      environmentVariablesOverride: [
+        { name: "GITHUB_SHA", value: "1234", type: "PLAINTEXT" },
+        { name: "STAGE", value: "prod", type: "PLAINTEXT" },
+        { name: "EXTRA", value: "x", type: "PARAMETER_STORE" },
+      ],
+    });
+  });
+
+  it("replaces lists without an identity", () => {
+    const test = mergeStartBuildConfig(
+      { cacheOverride: { modes: ["LOCAL_SOURCE_CACHE"] } },
+      { cacheOverride: { modes: ["LOCAL_DOCKER_LAYER_CACHE"] } }
+    );
+    expect(test.cacheOverride.modes).to.deep.equal([
+      "LOCAL_DOCKER_LAYER_CACHE",
+    ]);
+  });
+
+  it("returns the parameters without a config", () => {
+    const params = { projectName: "project" };
+    expect(mergeStartBuildConfig(params, undefined)).to.equal(params);
+  });
+});
@@ -0,0 +1,153 @@
+// Copyright 2020 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const {
+  buildSummary,
+  reportsSummary,
+  consoleLink,
+  formatDuration,
+} = require("../summary");
+const { summary } = require("@actions/core");
+const { expect } = require("chai");
+
+describe("buildSummary", () => {
+  afterEach(() => {
+    summary.emptyBuffer();
+  });
+
+  const build = {
+    id: "project:1234",
+    arn: "arn:aws:codebuild:us-west-2:111122223333:build/project:1234",
+    projectName: "project",
+    buildNumber: 42,
+    buildStatus: "FAILED",
+    resolvedSourceVersion: "181600acb3cfb803f4570d0018928be5d730c00d",
+    environment: {
+      computeType: "BUILD_GENERAL1_LARGE",
+      image: "aws/codebuild/standard:7.0",
+    },
+    logs: { deepLink: "https://console.aws.amazon.com/cloudwatch/home" },
+    phases: [
+      {
+        phaseType: "QUEUED",
+        phaseStatus: "SUCCEEDED",
+        startTime: new Date("2020-01-01T00:00:00Z"),
+        durationInSeconds: 75,
+      },
+      {
+        phaseType: "BUILD",
+        phaseStatus: "FAILED",
+        startTime: new Date("2020-01-01T00:01:15Z"),
+        durationInSeconds: 12,
+        contexts: [
+          {
+            statusCode: "COMMAND_EXECUTION_ERROR",
+            message: "Error while executing command: make <all>.",
+          },
+        ],
+      },
+      { phaseType: "COMPLETED" },
+    ],
+  };
+
+  it("summarizes the build details", () => {
+    const test = buildSummary(build).stringify();
+    expect(test).to.contain("CodeBuild project #42: FAILED");
+    expect(test).to.contain(`<a href="${consoleLink(build)}">project:1234</a>`);
+    expect(test).to.contain("<td>1m 15s</td>");
+    expect(test).to.contain(build.resolvedSourceVersion);
+    expect(test).to.contain("BUILD_GENERAL1_LARGE");
+    expect(test).to.contain("aws/codebuild/standard:7.0");
+    expect(test).to.contain(build.logs.deepLink);
+  });
+
+  it("has a row for every phase", () => {
+    const test = buildSummary(build).stringify();
+    expect(test).to.contain(
+      "<tr><td>BUILD</td><td>FAILED</td><td>2020-01-01T00:01:15.000Z</td><td>12s</td><td>Error while executing command: make &lt;all&gt;.</td></tr>"
+    );
+    expect(test).to.contain(
+      "<tr><td>COMPLETED</td><td>IN_PROGRESS</td><td>-</td><td>-</td><td>-</td></tr>"
+    );
+  });
+
+  it("skips the phases when there are none", () => {
+    const test = buildSummary({ ...build, phases: undefined }).stringify();
+    expect(test).to.not.contain("Phases");
+  });
+});
+
+describe("reportsSummary", () => {
+  afterEach(() => {
+    summary.emptyBuffer();
+  });
+
+  it("summarizes test and code coverage reports", () => {
+    const test = reportsSummary([
+      {
+        type: "TEST",
+        name: "tests",
+        status: "FAILED",
+        testSummary: {
+          total: 10,
+          statusCounts: { SUCCEEDED: 6, FAILED: 1, ERROR: 1, SKIPPED: 2 },
+        },
+      },
+      {
+        type: "CODE_COVERAGE",
+        name: "coverage",
+        codeCoverageSummary: {
+          lineCoveragePercentage: 81.234,
+        },
+      },
+    ]).stringify();
+    expect(test).to.contain(
+      "<tr><td>tests</td><td>FAILED</td><td>6</td><td>2</td><td>2</td><td>10</td></tr>"
+    );
+    expect(test).to.contain(
+      "<tr><td>coverage</td><td>81.23%</td><td>-</td></tr>"
+    );
+  });
+
+  it("adds nothing when there are no reports", () => {
+    expect(reportsSummary([]).stringify()).to.equal("");
+  });
+});
+
+describe("consoleLink", () => {
+  it("links to the build in the CodeBuild console", () => {
+    const test = consoleLink({
+      id: "project:1234",
+      arn: "arn:aws:codebuild:us-west-2:111122223333:build/project:1234",
+      projectName: "project",
+    });
+    expect(test).to.equal(
+      "https://us-west-2.console.aws.amazon.com/codesuite/codebuild/111122223333/projects/project/build/project%3A1234/?region=us-west-2"
+    );
+  });
+
+  it("links to a build batch in the CodeBuild console", () => {
+    const test = consoleLink({
+      id: "project:1234",
+      arn: "arn:aws:codebuild:us-west-2:111122223333:build-batch/project:1234",
+      projectName: "project",
+      buildBatchStatus: "SUCCEEDED",
+    });
+    expect(test).to.equal(
+      "https://us-west-2.console.aws.amazon.com/codesuite/codebuild/111122223333/projects/project/batch/project%3A1234/?region=us-west-2"
+    );
+  });
+
+  it("return undefined when there is no ARN", () => {
+    expect(consoleLink({ id: "project:1234" })).to.equal(undefined);
+  });
+});
+
+describe("formatDuration", () => {
+  it("formats seconds", () => {
+    expect(formatDuration(0)).to.equal("0s");
+    expect(formatDuration(59)).to.equal("59s");
+    expect(formatDuration(61)).to.equal("1m 1s");
+    expect(formatDuration(undefined)).to.equal("-");
+  });
+});